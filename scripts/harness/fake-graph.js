@@ -0,0 +1,152 @@
+// Fake Meta Graph API — a local HTTP server that records everything the
+// bridge sends, so end-to-end tests run offline
+//
+// Point wa-client at it with WA_CLAUDE_GRAPH_URL=<fake.url> before importing.
+// Handles:
+// - POST /<version>/<phone id>/messages — sends and read receipts
+// - POST /<version>/<phone id>/media — uploads (multipart, body not parsed)
+// - GET /<version>/<media id> and /files/<media id> — inbound media download
+
+import { createServer } from 'http';
+
+export class FakeGraph {
+  constructor() {
+    // Outbound messages: { id, to, type, text, payload }, in arrival order
+    this.messages = [];
+    // Read receipts: { messageId, typing }
+    this.reads = [];
+    this.uploads = 0;
+
+    // Inbound media the bridge may download: media id → { buffer, mimeType }
+    this._media = new Map();
+    // Canned Graph errors for the next N sends: [{ status, error }]
+    this._failures = [];
+    this._seq = 0;
+    this._server = null;
+    this.url = null;
+  }
+
+  /**
+   * Start listening on a random loopback port.
+   * @returns {Promise<FakeGraph>}
+   */
+  async start() {
+    this._server = createServer((req, res) => this._handle(req, res));
+    await new Promise(resolve => this._server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this._server.address().port}`;
+    return this;
+  }
+
+  async close() {
+    this._server.closeAllConnections();
+    await new Promise(resolve => this._server.close(resolve));
+  }
+
+  /**
+   * Make media downloadable under the given id (as if the user had sent it).
+   */
+  addMedia(id, buffer, mimeType) {
+    this._media.set(id, { buffer, mimeType });
+  }
+
+  /**
+   * Reject the next message send with a Graph error.
+   * @param {{code: number, message?: string}} error - Graph error object
+   * @param {number} status - HTTP status
+   */
+  failNext(error, status = 400) {
+    this._failures.push({ status, error });
+  }
+
+  /**
+   * Resolve with the first recorded message (since index `after`) matching
+   * the predicate, or reject after timeoutMs listing what was sent instead.
+   * @param {(msg: object) => boolean} predicate
+   * @param {{after?: number, timeoutMs?: number}} options
+   */
+  async waitFor(predicate, { after = 0, timeoutMs = 3000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const found = this.messages.slice(after).find(predicate);
+      if (found) return found;
+      await new Promise(r => setTimeout(r, 10));
+    }
+    const sent = this.messages.slice(after).map(m => `  ${m.type}: ${m.text}`).join('\n');
+    throw new Error(`Timed out waiting for message. Sent:\n${sent || '  (nothing)'}`);
+  }
+
+  /**
+   * Wait for a message whose text matches the pattern.
+   */
+  waitForText(pattern, options) {
+    return this.waitFor(m => pattern.test(m.text || ''), options);
+  }
+
+  // --- Internal methods ---
+
+  async _handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+    const path = new URL(req.url, this.url).pathname.split('/').filter(Boolean);
+
+    const reply = (status, json) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    };
+
+    if (req.method === 'POST' && path[2] === 'messages') {
+      const payload = JSON.parse(body.toString('utf-8'));
+
+      if (payload.status === 'read') {
+        this.reads.push({ messageId: payload.message_id, typing: !!payload.typing_indicator });
+        return reply(200, { success: true });
+      }
+
+      const failure = this._failures.shift();
+      if (failure) return reply(failure.status, { error: failure.error });
+
+      const id = `wamid.fake-${++this._seq}`;
+      this.messages.push({ id, to: payload.to, type: payload.type, text: textOf(payload), payload });
+      return reply(200, { messages: [{ id }] });
+    }
+
+    if (req.method === 'POST' && path[2] === 'media') {
+      this.uploads++;
+      return reply(200, { id: `media.fake-${this.uploads}` });
+    }
+
+    if (req.method === 'GET' && path[0] === 'files') {
+      const media = this._media.get(path[1]);
+      if (!media) return reply(404, { error: { message: 'unknown media' } });
+      res.writeHead(200, { 'Content-Type': media.mimeType });
+      return res.end(media.buffer);
+    }
+
+    if (req.method === 'GET' && path.length === 2) {
+      const media = this._media.get(path[1]);
+      if (!media) return reply(404, { error: { message: 'unknown media' } });
+      return reply(200, {
+        url: `${this.url}/files/${path[1]}`,
+        mime_type: media.mimeType,
+        file_size: media.buffer.length,
+      });
+    }
+
+    reply(404, { error: { message: `fake graph: no route for ${req.method} ${req.url}` } });
+  }
+}
+
+/**
+ * The human-visible text of a send payload (body, caption or template name).
+ */
+function textOf(payload) {
+  switch (payload.type) {
+    case 'text': return payload.text.body;
+    case 'interactive': return payload.interactive.body.text;
+    case 'document': return payload.document.caption || payload.document.filename;
+    case 'image': return payload.image.caption || '';
+    case 'template': return payload.template.name;
+    default: return '';
+  }
+}
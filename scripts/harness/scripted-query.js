@@ -0,0 +1,90 @@
+// Scripted Agent SDK — a stand-in for query() that replays canned message
+// streams, so sessions can be driven without calling Claude
+//
+// Each session's query() call consumes the next script queued for its cwd
+// (the project directory). A script is a list of steps:
+// - an SDK message (see init/text/toolUse/result below) — yielded as-is
+// - { canUseTool: [toolName, input] } — asks the session for permission the
+//   way the SDK does, and records the decision
+// - { hang: true } — blocks until the query is aborted (cancel / timeout)
+
+export class ScriptedSdk {
+  constructor() {
+    this._scripts = new Map();
+    // Every query() call: { cwd, prompt, options }
+    this.calls = [];
+    // Every canUseTool answer: { cwd, toolName, decision }
+    this.decisions = [];
+
+    // Bound so it can be handed over as a plain function
+    this.query = this.query.bind(this);
+  }
+
+  /**
+   * Queue a script for the next query run in this directory.
+   */
+  script(cwd, steps) {
+    if (!this._scripts.has(cwd)) this._scripts.set(cwd, []);
+    this._scripts.get(cwd).push(steps);
+  }
+
+  /**
+   * Drop-in for the SDK's query({ prompt, options }).
+   */
+  query({ prompt, options }) {
+    const steps = this._scripts.get(options.cwd)?.shift();
+    if (!steps) throw new Error(`No scripted query for ${options.cwd}`);
+
+    this.calls.push({ cwd: options.cwd, prompt, options });
+    return this._run(steps, options);
+  }
+
+  async *_run(steps, options) {
+    const signal = options.abortController.signal;
+
+    for (const step of steps) {
+      if (signal.aborted) throw abortError();
+
+      if (step.canUseTool) {
+        const [toolName, input] = step.canUseTool;
+        const decision = await options.canUseTool(toolName, input, { signal });
+        this.decisions.push({ cwd: options.cwd, toolName, decision });
+      } else if (step.hang) {
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+        throw abortError();
+      } else {
+        yield step;
+      }
+    }
+  }
+}
+
+// --- SDK message builders ---
+
+export function init(sessionId = 'scripted-session') {
+  return { type: 'system', subtype: 'init', session_id: sessionId, model: 'scripted', tools: [] };
+}
+
+export function text(body) {
+  return {
+    type: 'assistant',
+    message: { role: 'assistant', content: [{ type: 'text', text: body }] },
+  };
+}
+
+export function toolUse(name, input) {
+  return {
+    type: 'assistant',
+    message: { role: 'assistant', content: [{ type: 'tool_use', id: `toolu_${name}`, name, input }] },
+  };
+}
+
+export function result({ cost = 0.01, turns = 1, text: resultText = '' } = {}) {
+  return { type: 'result', subtype: 'success', num_turns: turns, total_cost_usd: cost, result: resultText };
+}
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
@@ -0,0 +1,77 @@
+// Session fixture — a SessionManager and CommandRouter over a recording
+// transport, run from a temp directory, so tests share one setup
+//
+// The cost tracker and other stores write under ./data, with the path fixed
+// when their module loads. createSessionFixture() moves to a temp directory
+// first and only then imports the session modules — tests using it must not
+// import src/session-manager.js or src/command-router.js themselves.
+
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../../src/config.js';
+
+// Records everything the bridge sends, in order:
+// { type: 'text'|'buttons'|'list'|'document'|'image', to, body, origin, ... }
+export class RecordingTransport {
+  constructor() {
+    this.sent = [];
+  }
+
+  async sendText(to, body, origin = null) {
+    this.sent.push({ type: 'text', to, body, origin });
+  }
+
+  async sendButtons(to, body, buttons, origin = null) {
+    this.sent.push({ type: 'buttons', to, body, buttons, origin });
+  }
+
+  async sendList(to, body, buttonText, rows, sections) {
+    this.sent.push({ type: 'list', to, body, buttonText, sections });
+  }
+
+  async sendDocument(to, file, origin = null) {
+    this.sent.push({ type: 'document', to, body: file.filename, file, origin });
+  }
+
+  async sendImage(to, file, origin = null) {
+    this.sent.push({ type: 'image', to, body: file.filename, file, origin });
+  }
+
+  /**
+   * Bodies of the recorded messages, optionally of one type.
+   */
+  bodies(type = null) {
+    return this.sent.filter(m => !type || m.type === type).map(m => m.body);
+  }
+
+  clear() {
+    this.sent.length = 0;
+  }
+}
+
+/**
+ * Set up a manager and router for a test.
+ * @param {{name?: string, users?: Object<string, string>, projects?: string[], query?: Function}} options
+ *   name — temp directory prefix; users — config.users (left alone if omitted);
+ *   projects — given a temp project directory each; query — SDK query() stand-in
+ * @returns {Promise<{transport: RecordingTransport, sent: Array, manager: object, router: object,
+ *   dirs: Object<string, string>}>} dirs — project name → directory
+ */
+export async function createSessionFixture({ name = 'test', users, projects = [], query } = {}) {
+  process.chdir(mkdtempSync(join(tmpdir(), `wa-claude-${name}-`)));
+  const { SessionManager } = await import('../../src/session-manager.js');
+  const { CommandRouter } = await import('../../src/command-router.js');
+
+  if (users) config.users = users;
+  const dirs = {};
+  for (const project of projects) {
+    dirs[project] = config.projectOverrides[project] = mkdtempSync(join(tmpdir(), `wa-claude-${project}-`));
+  }
+
+  const transport = new RecordingTransport();
+  const manager = new SessionManager(transport, query ? { query } : {});
+  const router = new CommandRouter(manager, transport);
+
+  return { transport, sent: transport.sent, manager, router, dirs };
+}
@@ -0,0 +1,33 @@
+// Test runner — runs every scripts/test-*.js in its own process, one at a time
+//
+// Usage: npm test            (all)
+//        npm test -- e2e     (only files whose name contains "e2e")
+
+import { spawnSync } from 'child_process';
+import { readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const dir = dirname(fileURLToPath(import.meta.url));
+const filter = process.argv[2] || '';
+const files = readdirSync(dir)
+  .filter(f => f.startsWith('test-') && f.endsWith('.js') && f.includes(filter))
+  .sort();
+
+const failed = [];
+for (const file of files) {
+  const started = Date.now();
+  const run = spawnSync(process.execPath, [join(dir, file)], { encoding: 'utf-8', timeout: 120000 });
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+  if (run.status === 0) {
+    console.log(`✓ ${file} (${seconds}s)`);
+  } else {
+    failed.push(file);
+    console.log(`✗ ${file} (${seconds}s)${run.signal ? ` — killed by ${run.signal}` : ''}`);
+    console.log((run.stdout + run.stderr).trim().split('\n').slice(-20).map(l => `    ${l}`).join('\n'));
+  }
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} test files passed`);
+process.exit(failed.length ? 1 : 0);
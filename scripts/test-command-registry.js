@@ -0,0 +1,85 @@
+// Test script for the command registry — arguments, aliases, roles, generated help
+//
+// Usage: node scripts/test-command-registry.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { CommandRegistry, usage } from '../src/command-registry.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing command registry...\n');
+
+// --- Registry basics ---
+const registry = new CommandRegistry();
+const calls = [];
+const echo = registry.register({
+  name: 'echo',
+  aliases: ['/say'],
+  args: [{ name: 'times', choices: ['once', 'twice'] }, { name: 'text', optional: true }],
+  permission: 'chat',
+  description: 'Repeat text',
+  handler: (ctx) => calls.push(ctx.args),
+});
+assert.strictEqual(echo.name, '/echo', 'names normalized to /name');
+assert.strictEqual(registry.get('/SAY'), echo, 'aliases resolve, case-insensitively');
+assert.strictEqual(registry.get('nope'), null);
+assert.throws(() => registry.register({ name: '/say', permission: 'read', description: '', handler() {} }), /already registered/);
+assert.strictEqual(usage(echo), '/echo <once|twice> [text]');
+
+assert.deepStrictEqual(registry.parseArgs(echo, ' TWICE  hello  world '), { args: { times: 'twice', text: 'hello  world' }, error: null }, 'last arg takes the rest');
+assert.match(registry.parseArgs(echo, '').error, /^Missing times\. Usage: \/echo <once\|twice> \[text\]$/);
+assert.match(registry.parseArgs(echo, 'thrice').error, /Unknown times "thrice"/);
+const bare = registry.register({ name: '/bare', permission: 'read', description: 'No args', handler() {} });
+assert.match(registry.parseArgs(bare, 'extra').error, /\/bare takes no arguments/);
+console.log('✓ Names, aliases and argument parsing');
+
+// --- Through the router ---
+const ADMIN = { number: '15550000001', role: 'admin' };
+const VIEWER = { number: '15550000003', role: 'viewer' };
+const { manager, router } = await createSessionFixture({
+  name: 'commands', users: { [ADMIN.number]: 'admin', [VIEWER.number]: 'viewer' },
+});
+const relayed = [];
+manager.relay = (userId, text) => { relayed.push(text); return null; };
+
+const help = router.handle(ADMIN, '/help');
+for (const command of router.commands.list()) {
+  assert.ok(help.includes(`${usage(command)} — ${command.description}`), `${command.name} in /help`);
+}
+assert.match(help, /\/approve — Approve the pending action \(also \/yes\)/);
+assert.match(help, /\/deny — Deny the pending action \(also \/no\)/);
+
+const viewerHelp = router.handle(VIEWER, '/help');
+assert.match(viewerHelp, /\/status/);
+assert.doesNotMatch(viewerHelp, /^\/(open|approve)/m, 'help lists only what the user may run');
+console.log('✓ /help generated from the registry');
+
+const costHelp = router.handle(ADMIN, '/help cost');
+assert.match(costHelp, /^\*\/cost \[today\|week\|month\|all\]\*/);
+assert.match(costHelp, /Allowed for: admin, member, viewer/);
+assert.match(router.handle(ADMIN, '/help /yes'), /Aliases: \/yes[\s\S]*Allowed for: admin$/);
+assert.match(router.handle(ADMIN, '/help frobnicate'), /Unknown command \/frobnicate/);
+console.log('✓ /help <command> shows usage, aliases and roles');
+
+// Aliases dispatch to the same handler; roles are checked per command
+assert.strictEqual(router.handle(ADMIN, '/YES'), 'No active session.');
+assert.strictEqual(router.handle(ADMIN, '/no'), 'No active session.');
+assert.match(router.handle(VIEWER, '/yes'), /Not allowed — your role is viewer/);
+assert.doesNotMatch(router.handle(VIEWER, '/cost week'), /Not allowed|Usage/, 'viewers can read costs');
+assert.match(router.handle(ADMIN, '/cost yesterday'), /Unknown period "yesterday"\. Usage: \/cost \[today\|week\|month\|all\]/);
+assert.match(router.handle(ADMIN, '/list everything'), /\/list takes no arguments/);
+console.log('✓ Aliases, roles and argument errors');
+
+// --- Passthrough and reserved names ---
+router.handle(ADMIN, '/commit fix the typo');
+assert.deepStrictEqual(relayed, ['/commit fix the typo'], 'unknown commands go to Claude');
+assert.match(router.handle(VIEWER, '/commit'), /Not allowed/, 'passthrough needs chat');
+
+config.commands.reserved = ['/clear', 'config'];
+assert.match(router.handle(ADMIN, '/clear'), /\/clear is reserved by the bridge/);
+assert.match(router.handle(ADMIN, '/Config x'), /\/config is reserved/);
+assert.strictEqual(relayed.length, 1, 'reserved names never reach Claude');
+config.commands.reserved = [];
+console.log('✓ Unknown commands pass through; reserved names are held back');
+
+console.log('\nAll command registry tests passed.');
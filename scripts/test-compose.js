@@ -0,0 +1,116 @@
+// Test script for compose mode — multi-part prompts sent as one
+//
+// Usage: node scripts/test-compose.js
+
+import assert from 'assert';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { Bridge } from '../src/bridge.js';
+import { StubTranscriber } from '../src/transcriber.js';
+
+console.log('Testing compose mode...\n');
+
+const USER = '15551234567';
+const VIEWER = '15550000003';
+config.users = { [USER]: 'admin', [VIEWER]: 'viewer' };
+config.projectOverrides.alpha = mkdtempSync(join(tmpdir(), 'wa-claude-alpha-'));
+
+const replies = [];
+const media = {
+  'img-1': { buffer: Buffer.from('png bytes'), mimeType: 'image/png' },
+  'voice-1': { buffer: Buffer.from('ogg bytes'), mimeType: 'audio/ogg' },
+};
+const transport = {
+  sendText: async (to, body) => { replies.push(body); },
+  sendButtons: async () => {},
+  sendList: async () => {},
+  downloadMedia: async (id) => media[id],
+  getOrigin: () => null,
+};
+const bridge = new Bridge(transport, { transcriber: new StubTranscriber('and check the logs') });
+const { sessionManager: manager, commandRouter: router } = bridge;
+const user = { number: USER, role: 'admin' };
+const say = async (text) => {
+  replies.length = 0;
+  await bridge.handleMessage({ from: USER, text });
+  return replies.at(-1);
+};
+
+manager.open(USER, 'alpha');
+const { session } = manager.sessions.get('alpha');
+const prompts = [];
+session.send = async (prompt) => { prompts.push(prompt); };
+
+// --- /compose, parts, /send ---
+assert.match(await say('/compose'), /Composing — send your message in as many parts/);
+assert.strictEqual(await say('First, refactor the parser.'), '_📝 Draft: 1 part, 27 chars — /send or <<< to send, /discard to drop._');
+await say('Then update the README.');
+assert.match(await say('/status'), /wa-claude status/, 'bridge commands still run');
+assert.match(await say('/commit'), /Draft: 3 parts/, 'unknown /commands join the draft');
+assert.strictEqual(prompts.length, 0, 'nothing sent while composing');
+
+await say('/send');
+assert.deepStrictEqual(prompts, ['First, refactor the parser.\n\nThen update the README.\n\n/commit']);
+assert.match(replies.at(-1), /Working on it/);
+assert.strictEqual(router.isComposing(USER), false);
+console.log('✓ /compose collects messages, /send relays them as one prompt');
+
+// --- >>> and <<< markers ---
+await say('>>> Part one');
+assert.match(await say('part two'), /Draft: 2 parts/);
+await say('part three <<<');
+assert.strictEqual(prompts.at(-1), 'Part one\n\npart two\n\npart three');
+
+await say('>>> all at once <<<');
+assert.strictEqual(prompts.at(-1), 'all at once');
+
+await say('cat <<<');
+assert.strictEqual(prompts.at(-1), 'cat <<<', '<<< outside compose mode is just text');
+console.log('✓ >>> starts and <<< sends');
+
+// --- Media joins the draft ---
+await say('/compose');
+replies.length = 0;
+await bridge.handleMessage({ from: USER, media: { type: 'image', id: 'img-1', mimeType: 'image/png' } });
+assert.match(replies.at(-1), /Draft: 0 parts, 0 chars, 1 attachment/);
+await bridge.handleMessage({ from: USER, media: { type: 'audio', id: 'voice-1', mimeType: 'audio/ogg' } });
+assert.match(replies.at(-1), /Draft: 1 part, .*1 attachment/);
+await say('What is wrong with this screen? <<<');
+const prompt = prompts.at(-1);
+assert.ok(Array.isArray(prompt), 'multimodal prompt');
+assert.strictEqual(prompt[0].type, 'image');
+assert.deepStrictEqual(prompt[1], { type: 'text', text: 'and check the logs\n\nWhat is wrong with this screen?' });
+console.log('✓ Images and voice notes go into the draft');
+
+// --- Empty draft, /discard, busy session keeps the draft ---
+await say('/compose');
+assert.match(await say('/send'), /draft has no text yet/);
+await bridge.handleMessage({ from: USER, media: { type: 'image', id: 'img-1', mimeType: 'image/png' } });
+await say('never mind');
+assert.strictEqual(await say('/discard'), '_🗑️ Draft discarded (1 part and 1 attachment)._');
+assert.strictEqual(manager.pendingAttachments(USER), 0, 'draft media dropped too');
+assert.match(await say('/discard'), /Not composing/);
+assert.match(await say('/send'), /Not composing/);
+
+// A draft the session can't take is kept for another /send
+session._isActive = true;
+config.claude.maxQueuedPrompts = 0;
+await say('>>> while busy');
+const busy = await say('<<<');
+assert.match(busy, /queue is full[\s\S]*Your draft is kept/);
+config.claude.maxQueuedPrompts = 10;
+assert.match(await say('/send'), /Queued as #1/, 'a busy session queues the draft');
+assert.strictEqual(router.isComposing(USER), false);
+assert.strictEqual(manager.sessions.get('alpha').queue[0].text, 'while busy');
+session._isActive = false;
+console.log('✓ Empty drafts, /discard and busy sessions handled');
+
+// Viewers can't compose
+replies.length = 0;
+await bridge.handleMessage({ from: VIEWER, text: '>>> hi' });
+assert.match(replies.at(-1), /Not allowed/);
+assert.match(router.handle(user, '/help'), /\/compose — Collect the next messages/);
+
+console.log('\nAll compose mode tests passed.');
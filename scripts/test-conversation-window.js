@@ -0,0 +1,110 @@
+// Test script for the 24h window — template fallback, held output and warnings
+//
+// Usage: node scripts/test-conversation-window.js
+
+import assert from 'assert';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+// wa-client persists windows under ./data — keep this test's state out of the repo
+process.chdir(mkdtempSync(join(tmpdir(), 'wa-claude-window-')));
+const { ConversationWindow, WINDOW_MS, formatDuration } = await import('../src/conversation-window.js');
+const { sendMessage, handleStatus, noteInbound, getWindowRemaining, deliveries } = await import('../src/wa-client.js');
+
+const to = '15551234567';
+
+console.log('Testing conversation window...\n');
+
+// --- ConversationWindow ---
+const storePath = join(process.cwd(), 'windows.json');
+const store = new ConversationWindow(storePath);
+assert.strictEqual(store.remaining(to), null, 'unknown before first message');
+store.touch(to, Date.now() - WINDOW_MS + 60_000);
+assert.ok(Math.abs(store.remaining(to) - 60_000) < 1000);
+store.touch(to, Date.now() - WINDOW_MS * 2);
+assert.ok(store.remaining(to) > 0, 'older timestamp ignored');
+assert.ok(new ConversationWindow(storePath).remaining(to) > 0, 'persisted across restarts');
+store.close(to);
+assert.strictEqual(store.remaining(to), 0);
+assert.strictEqual(formatDuration(80 * 60_000), '1h 20m');
+assert.strictEqual(formatDuration(45 * 60_000), '45m');
+console.log('✓ Window tracked, persisted and closable');
+
+// --- wa-client: re-engagement error → template + hold, released on reply ---
+config.outbound.minIntervalMs = 0;
+config.window.templateName = 'task_finished';
+
+const posts = [];
+let closed = true;
+let seq = 0;
+globalThis.fetch = async (_url, { body }) => {
+  const payload = JSON.parse(body);
+  posts.push(payload);
+  if (closed && payload.type !== 'template') {
+    return { ok: false, status: 400, json: async () => ({ error: { code: 131047, message: 'Re-engagement message' } }) };
+  }
+  return { ok: true, status: 200, json: async () => ({ messages: [{ id: `wamid.w-${++seq}` }] }) };
+};
+
+const origin = { project: 'alpha', sessionId: 's1' };
+await sendMessage(to, 'result part 1', origin);
+await sendMessage(to, 'result part 2', origin);
+await new Promise(resolve => setTimeout(resolve, 20));
+assert.deepStrictEqual(posts.map(p => p.type), ['text', 'template'], 'second message held without a request');
+assert.deepStrictEqual(posts[1].template, {
+  name: 'task_finished',
+  language: { code: 'en_US' },
+  components: [{ type: 'body', parameters: [{ type: 'text', text: 'alpha' }] }],
+});
+assert.strictEqual(getWindowRemaining(to), 0);
+assert.deepStrictEqual(deliveries.getMissed(to), [], 'held messages are not missed');
+console.log('✓ Refused output held, one template sent');
+
+closed = false;
+posts.length = 0;
+assert.strictEqual(noteInbound(to, Math.floor(Date.now() / 1000)), 2);
+await new Promise(resolve => setTimeout(resolve, 20));
+assert.deepStrictEqual(posts.map(p => p.text.body), [
+  '_📬 2 message(s) held while the chat was inactive:_',
+  'result part 1',
+  'result part 2',
+]);
+assert.ok(getWindowRemaining(to) > WINDOW_MS - 60_000);
+assert.strictEqual(noteInbound(to), 0, 'nothing left to release');
+console.log('✓ Held output released in order when the user writes');
+
+// Async failure via status webhook is held the same way
+posts.length = 0;
+await sendMessage(to, 'late answer', origin);
+closed = true;
+await handleStatus({ id: `wamid.w-${seq}`, status: 'failed', recipient_id: to, errors: [{ code: 131047, title: 'Re-engagement message' }] });
+await new Promise(resolve => setTimeout(resolve, 20));
+assert.deepStrictEqual(posts.map(p => p.type), ['text', 'template'], 'no resend, template instead');
+closed = false;
+posts.length = 0;
+noteInbound(to);
+await new Promise(resolve => setTimeout(resolve, 20));
+assert.strictEqual(posts.at(-1).text.body, 'late answer');
+console.log('✓ Re-engagement failure from a status webhook held too');
+
+// --- SessionManager warns before a query that could outlast the window ---
+let remaining = 3 * 60_000;
+const { transport, manager } = await createSessionFixture({ name: 'window', projects: ['alpha'] });
+transport.getWindowRemaining = () => remaining;
+manager.open(to, 'alpha');
+manager.sessions.get('alpha').session.send = async () => {};
+
+manager.relay(to, 'run the migration');
+assert.match(transport.bodies('text').at(-1), /chat window closes in 3m/);
+assert.match(manager.status(to), /Chat window: closes in 3m/);
+
+transport.clear();
+remaining = WINDOW_MS;
+manager.relay(to, 'another task');
+assert.strictEqual(transport.bodies('text').length, 1, 'just the ack when there is plenty of time');
+console.log('✓ Warning before queries that could outlast the window');
+
+console.log('\n✅ Conversation window test complete');
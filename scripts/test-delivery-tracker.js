@@ -0,0 +1,81 @@
+// Test script for delivery tracking — status correlation, resend and /missed replay
+//
+// Usage: node scripts/test-delivery-tracker.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { DeliveryTracker } from '../src/delivery-tracker.js';
+import { sendMessage, handleStatus, replayMissed, deliveries } from '../src/wa-client.js';
+
+const to = '15551234567';
+const textPayload = (body) => ({ messaging_product: 'whatsapp', to, type: 'text', text: { body } });
+
+console.log('Testing DeliveryTracker...\n');
+
+// --- Tracker unit checks ---
+const tracker = new DeliveryTracker(3);
+tracker.recordSent('wamid.1', { to, payload: textPayload('hello') });
+assert.strictEqual(tracker.applyStatus({ id: 'wamid.1', status: 'delivered' }).status, 'delivered');
+assert.strictEqual(tracker.applyStatus({ id: 'wamid.1', status: 'sent' }), null, 'stale status ignored');
+assert.strictEqual(tracker.applyStatus({ id: 'wamid.unknown', status: 'read' }), null, 'unknown id ignored');
+console.log('✓ Statuses correlated and only move forward');
+
+tracker.recordSent('wamid.2', { to, payload: textPayload('long answer') });
+const failed = tracker.applyStatus({ id: 'wamid.2', status: 'failed', errors: [{ code: 131026, title: 'Message undeliverable' }] });
+assert.strictEqual(failed.error, '131026: Message undeliverable');
+assert.deepStrictEqual(tracker.getMissed(to).map(e => e.id), ['wamid.2']);
+tracker.markReplaced('wamid.2');
+assert.deepStrictEqual(tracker.getMissed(to), []);
+console.log('✓ Failed messages listed as missed until replaced');
+
+tracker.recordSent('wamid.3', { to, payload: textPayload('3') });
+tracker.recordSent('wamid.4', { to, payload: textPayload('4') });
+assert.strictEqual(tracker.applyStatus({ id: 'wamid.1', status: 'read' }), null, 'oldest entry evicted past cap');
+console.log('✓ Tracker capped at maxTracked');
+
+// --- wa-client wiring, with a fake Graph API ---
+// No throttling or retries here — test-send-queue.js covers those
+config.outbound.minIntervalMs = 0;
+config.outbound.maxRetries = 0;
+
+const posts = [];
+let nextStatus = 200;
+let seq = 0;
+globalThis.fetch = async (_url, { body }) => {
+  posts.push(JSON.parse(body));
+  const status = nextStatus;
+  return {
+    ok: status < 400,
+    status,
+    json: async () => (status < 400 ? { messages: [{ id: `wamid.fake-${++seq}` }] } : { error: { code: 1 } }),
+  };
+};
+
+await sendMessage(to, 'answer that will fail');
+assert.strictEqual(posts.length, 1);
+
+// First failure → automatic resend of the same payload
+await handleStatus({ id: 'wamid.fake-1', status: 'failed', recipient_id: to, errors: [{ code: 131000, title: 'Something went wrong' }] });
+assert.strictEqual(posts.length, 2);
+assert.deepStrictEqual(posts[1], posts[0]);
+console.log('✓ Failed message resent automatically');
+
+// Resend also fails → out of resends, user gets a notice pointing at /missed
+await handleStatus({ id: 'wamid.fake-2', status: 'failed', recipient_id: to, errors: [{ code: 131000, title: 'Something went wrong' }] });
+assert.strictEqual(posts.length, 2 + config.delivery.maxResends);
+assert.match(posts[posts.length - 1].text.body, /\/missed/);
+console.log('✓ User notified once resends are exhausted');
+
+// HTTP-level failure is tracked too
+nextStatus = 500;
+await assert.rejects(sendMessage(to, 'send that never left'));
+nextStatus = 200;
+
+const before = posts.length;
+const result = await replayMissed(to);
+assert.deepStrictEqual(result, { replayed: 2, failed: 0 });
+assert.deepStrictEqual(posts.slice(before).map(p => p.text.body), ['answer that will fail', 'send that never left']);
+assert.deepStrictEqual(deliveries.getMissed(to), []);
+console.log('✓ /missed replays failed and never-sent messages in order');
+
+console.log('\n✅ Delivery tracker test complete');
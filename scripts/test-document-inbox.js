@@ -0,0 +1,54 @@
+// Test script for document input — filename sanitizing, inbox saving, size limit
+//
+// Usage: node scripts/test-document-inbox.js
+
+import assert from 'assert';
+import { mkdtempSync, readFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { sanitizeFilename, saveToInbox } from '../src/document-inbox.js';
+import { downloadMedia } from '../src/wa-client.js';
+
+console.log('Testing document inbox...\n');
+
+// --- Filename sanitizing ---
+assert.strictEqual(sanitizeFilename('server.log'), 'server.log');
+assert.strictEqual(sanitizeFilename('../../etc/passwd'), 'passwd');
+assert.strictEqual(sanitizeFilename('..\\..\\Windows\\win.ini'), 'win.ini');
+assert.strictEqual(sanitizeFilename('.env'), 'env');
+assert.strictEqual(sanitizeFilename('report (final);rm -rf.csv'), 'report _final_rm -rf.csv');
+assert.strictEqual(sanitizeFilename(''), 'file');
+assert.strictEqual(sanitizeFilename('a'.repeat(300) + '.pdf').length, 100);
+assert.ok(sanitizeFilename('a'.repeat(300) + '.pdf').endsWith('.pdf'));
+console.log('✓ Filenames sanitized');
+
+// --- Saving into the project inbox ---
+const projectDir = mkdtempSync(join(tmpdir(), 'wa-claude-project-'));
+const first = saveToInbox(projectDir, 'data.csv', Buffer.from('a,b\n1,2\n'));
+assert.strictEqual(first.relativePath, `${config.documents.inboxDir}/data.csv`);
+assert.strictEqual(readFileSync(first.path, 'utf-8'), 'a,b\n1,2\n');
+
+const second = saveToInbox(projectDir, 'data.csv', Buffer.from('newer'));
+assert.strictEqual(second.relativePath, `${config.documents.inboxDir}/data-1.csv`);
+assert.strictEqual(readFileSync(first.path, 'utf-8'), 'a,b\n1,2\n', 'existing file not overwritten');
+
+const escaped = saveToInbox(projectDir, '../outside.txt', Buffer.from('x'));
+assert.strictEqual(escaped.relativePath, `${config.documents.inboxDir}/outside.txt`);
+assert.ok(!existsSync(join(projectDir, 'outside.txt')));
+console.log('✓ Saved into inbox without clobbering or escaping');
+
+// --- Size limit enforced from media metadata, before downloading ---
+let downloads = 0;
+globalThis.fetch = async (url) => {
+  if (url.includes('/big-doc')) {
+    return { ok: true, json: async () => ({ url: 'https://lookaside.example/file', mime_type: 'application/pdf', file_size: 50 * 1024 * 1024 }) };
+  }
+  downloads++;
+  return { ok: true, arrayBuffer: async () => new ArrayBuffer(8) };
+};
+await assert.rejects(downloadMedia('big-doc', { maxBytes: config.documents.maxBytes }), /File too large \(50\.0 MB, limit 20\.0 MB\)/);
+assert.strictEqual(downloads, 0);
+console.log('✓ Oversized document rejected before download');
+
+console.log('\n✅ Document inbox test complete');
@@ -0,0 +1,217 @@
+// End-to-end test — signed webhook posts in, fake Graph API out, scripted SDK
+// in between. Runs fully offline.
+//
+// Usage: node scripts/test-e2e.js
+
+import assert from 'assert';
+import express from 'express';
+import { createHmac } from 'crypto';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FakeGraph } from './harness/fake-graph.js';
+import { ScriptedSdk, init, text, toolUse, result } from './harness/scripted-query.js';
+
+const APP_SECRET = 'e2e-app-secret';
+const USER = '15551234567';
+
+// Persistent stores (dedupe, delivery, cost...) live under ./data — keep them
+// in a throwaway dir. The Graph URL is read at import, so set it first.
+const tmp = mkdtempSync(join(tmpdir(), 'wa-claude-e2e-'));
+process.chdir(tmp);
+const graph = await new FakeGraph().start();
+process.env.WA_CLAUDE_GRAPH_URL = graph.url;
+
+const { default: config } = await import('../src/config.js');
+const { createWhatsAppTransport } = await import('../src/transports/whatsapp.js');
+const { Bridge } = await import('../src/bridge.js');
+
+config.whatsapp.appSecret = APP_SECRET;
+config.users = { [USER]: 'admin' };
+config.outbound.minIntervalMs = 0;
+config.outbound.maxRetries = 0;
+config.presence.typingRefreshMs = 60000;
+config.claude.streamBufferMs = 20;
+config.projectOverrides.alpha = mkdtempSync(join(tmpdir(), 'wa-claude-alpha-'));
+config.projectOverrides.beta = mkdtempSync(join(tmpdir(), 'wa-claude-beta-'));
+const { alpha: ALPHA, beta: BETA } = config.projectOverrides;
+
+const sdk = new ScriptedSdk();
+const transport = createWhatsAppTransport();
+const bridge = new Bridge(transport, { query: sdk.query });
+const app = express();
+transport.mount(app, bridge);
+const server = app.listen(0);
+const webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+
+// --- Webhook fixtures ---
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/text-message.json', import.meta.url), 'utf-8'));
+let inboundSeq = 0;
+
+function payloadFor(fields) {
+  const body = structuredClone(fixture);
+  body.entry[0].changes[0].value.messages = [{
+    from: USER,
+    id: `wamid.E2E_${++inboundSeq}`,
+    timestamp: String(Math.floor(Date.now() / 1000)),
+    ...fields,
+  }];
+  return JSON.stringify(body);
+}
+
+async function post(raw, { secret = APP_SECRET } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) headers['X-Hub-Signature-256'] = 'sha256=' + createHmac('sha256', secret).update(raw).digest('hex');
+  const res = await fetch(webhookUrl, { method: 'POST', headers, body: raw });
+  return res.status;
+}
+
+const sendText = (body) => post(payloadFor({ type: 'text', text: { body } }));
+const tapButton = (id, title = id) => post(payloadFor({ type: 'interactive', interactive: { type: 'button_reply', button_reply: { id, title } } }));
+const pickRow = (id, title = id) => post(payloadFor({ type: 'interactive', interactive: { type: 'list_reply', list_reply: { id, title } } }));
+
+// Wait for a query to wind down before scripting the next one in that project
+async function idle(project) {
+  const { session } = bridge.sessionManager.sessions.get(project);
+  for (let i = 0; i < 300 && session.isActive; i++) await new Promise(r => setTimeout(r, 10));
+  assert.strictEqual(session.isActive, false, `${project} still busy`);
+}
+
+console.log('Testing end to end...\n');
+
+try {
+  // --- Signature gate ---
+  assert.strictEqual(await post(payloadFor({ type: 'text', text: { body: '/help' } }), { secret: null }), 401);
+  assert.strictEqual(await post(payloadFor({ type: 'text', text: { body: '/help' } }), { secret: 'forged' }), 401);
+  await new Promise(r => setTimeout(r, 50));
+  assert.strictEqual(graph.messages.length, 0, 'nothing sent for unsigned posts');
+  console.log('✓ Unsigned and forged webhooks rejected');
+
+  // --- Open projects from the list, read receipts sent ---
+  assert.strictEqual(await pickRow('alpha'), 200);
+  await graph.waitForText(/Opened alpha/);
+  await pickRow('beta');
+  await graph.waitForText(/Opened beta/);
+  assert.ok(graph.reads.some(r => r.messageId === `wamid.E2E_${inboundSeq}`), 'inbound marked read');
+  console.log('✓ Projects opened via list replies, inbound marked read');
+
+  // --- Prompt → ack → formatted, tagged output → cost recorded ---
+  sdk.script(BETA, [
+    init('beta-1'),
+    toolUse('Read', { file_path: 'src/index.js' }),
+    text('## Summary\n\nThe entry point is **fine**.'),
+    result({ cost: 0.02, turns: 2 }),
+  ]);
+  let mark = graph.messages.length;
+  await sendText('review the entry point');
+  const ack = await graph.waitForText(/📂 \*beta\* \| _Working on it\.\.\._/, { after: mark });
+  const notice = await graph.waitForText(/_Reading src\/index\.js_/, { after: mark });
+  const output = await graph.waitForText(/entry point is/, { after: mark });
+  const order = [ack, notice, output].map(m => graph.messages.indexOf(m));
+  assert.deepStrictEqual(order, [...order].sort((a, b) => a - b), 'ack, notice, output in order');
+  assert.match(output.text, /^📂 \*beta\* \|/, 'output tagged with project');
+  assert.match(output.text, /\*Summary\*/, 'heading formatted for WhatsApp');
+  assert.match(output.text, /is \*fine\*\./, '**bold** converted to *bold*');
+  assert.doesNotMatch(output.text, /\*\*/);
+  await idle('beta');
+  assert.strictEqual(sdk.calls.at(-1).prompt, 'review the entry point');
+  assert.strictEqual(bridge.sessionManager.sessions.get('beta').session.sessionId, 'beta-1');
+  console.log('✓ Prompt relayed; ack, tool notice and formatted output delivered in order');
+
+  // --- The next prompt resumes the same session ---
+  sdk.script(BETA, [text('Resumed.'), result()]);
+  mark = graph.messages.length;
+  await sendText('and now?');
+  await graph.waitForText(/Resumed\./, { after: mark });
+  await idle('beta');
+  assert.strictEqual(sdk.calls.at(-1).options.resume, 'beta-1');
+  console.log('✓ Follow-up resumes the SDK session');
+
+  // --- Approvals across two projects go to the right session ---
+  sdk.script(ALPHA, [init('alpha-1'), { canUseTool: ['Bash', { command: 'rm -rf build' }] }, text('alpha after approval'), result()]);
+  sdk.script(BETA, [{ canUseTool: ['Bash', { command: 'npm publish' }] }, text('beta after approval'), result()]);
+  mark = graph.messages.length;
+  await pickRow('alpha'); // Switch back to alpha
+  await sendText('clean the build');
+  await pickRow('beta');
+  await sendText('publish it');
+
+  const alphaPrompt = await graph.waitFor(m => m.type === 'interactive' && /rm -rf build/.test(m.text), { after: mark });
+  const betaPrompt = await graph.waitFor(m => m.type === 'interactive' && /npm publish/.test(m.text), { after: mark });
+  assert.match(alphaPrompt.text, /^📂 \*alpha\* \| \*\[ACTION NEEDED\]\*/);
+  const buttonIds = (prompt) => prompt.payload.interactive.action.buttons.map(b => b.reply.id);
+  const [, alphaDeny] = buttonIds(alphaPrompt);
+  const [betaApprove] = buttonIds(betaPrompt);
+  assert.match(alphaDeny, /^deny_\d+_alpha$/);
+  assert.match(betaApprove, /^approve_\d+_beta$/);
+  assert.match(betaPrompt.text, /^📂 \*beta\* \|/);
+
+  // Answer out of order — beta first, and deny alpha while beta is active
+  await tapButton(betaApprove, '✓ Approve');
+  await graph.waitForText(/beta after approval/, { after: mark });
+  await tapButton(alphaDeny, '✗ Deny');
+  await graph.waitForText(/_Denied\._/, { after: mark });
+  await graph.waitForText(/alpha after approval/, { after: mark });
+  await idle('alpha');
+  await idle('beta');
+
+  const decisions = Object.fromEntries(sdk.decisions.map(d => [d.cwd, d.decision.behavior]));
+  assert.deepStrictEqual(decisions, { [ALPHA]: 'deny', [BETA]: 'allow' });
+  console.log('✓ Approvals in two projects resolved by their own buttons');
+
+  // --- /cancel interrupts a hanging query ---
+  sdk.script(BETA, [text('starting a long job'), { hang: true }]);
+  mark = graph.messages.length;
+  await sendText('run the long job');
+  await graph.waitForText(/_Working on it/, { after: mark });
+  await sendText('/cancel');
+  await graph.waitForText(/Cancelling beta/, { after: mark });
+  await graph.waitForText(/📂 \*beta\* \| _Interrupted\._/, { after: mark });
+  await graph.waitForText(/starting a long job/, { after: mark }); // Buffered text still flushed
+  await idle('beta');
+  console.log('✓ /cancel interrupts a running query');
+
+  // --- Query timeout ---
+  config.claude.queryTimeoutMs = 100;
+  sdk.script(BETA, [{ hang: true }]);
+  mark = graph.messages.length;
+  await sendText('this will hang');
+  await graph.waitForText(/\*\[TIMEOUT\]\* Query exceeded/, { after: mark });
+  await idle('beta');
+  config.claude.queryTimeoutMs = 10 * 60 * 1000;
+  console.log('✓ Query timeout aborts and reports');
+
+  // --- Approval timeout auto-denies ---
+  config.claude.approvalTimeoutMs = 100;
+  sdk.script(BETA, [{ canUseTool: ['Bash', { command: 'sleep 999' }] }, result()]);
+  mark = graph.messages.length;
+  await sendText('wait forever');
+  await graph.waitForText(/\*\[TIMEOUT\]\* Approval expired/, { after: mark });
+  await idle('beta');
+  assert.strictEqual(sdk.decisions.at(-1).decision.behavior, 'deny');
+  console.log('✓ Unanswered approval auto-denied');
+
+  // --- A prompt sent while busy is queued, then run ---
+  sdk.script(BETA, [{ hang: true }]);
+  sdk.script(BETA, [text('second done'), result()]);
+  mark = graph.messages.length;
+  await sendText('first');
+  await graph.waitForText(/_Working on it/, { after: mark });
+  await sendText('second');
+  await graph.waitForText(/_Queued as #1/, { after: mark });
+  await sendText('/cancel');
+  await graph.waitForText(/_Working on queued message: "second"\.\.\._/, { after: mark });
+  await graph.waitForText(/second done/, { after: mark });
+  await idle('beta');
+  assert.strictEqual(sdk.calls.at(-1).prompt, 'second');
+  console.log('✓ Prompt sent while busy is queued and run next');
+
+  console.log('\nAll end-to-end tests passed.');
+} finally {
+  server.close();
+  await graph.close();
+}
+
+// Session typing timers and store writes shouldn't keep the test alive
+process.exit(0);
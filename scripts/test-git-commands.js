@@ -0,0 +1,114 @@
+// Test script for /git shortcuts — read-only commands, confirmed commit/push
+//
+// Usage: node scripts/test-git-commands.js
+
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { parseGitCommand } from '../src/git-commands.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing /git shortcuts...\n');
+
+// --- Parsing: a fixed set of shapes, no options smuggled in ---
+assert.deepStrictEqual(parseGitCommand('status').argv, ['status', '--short', '--branch']);
+assert.deepStrictEqual(parseGitCommand('diff --stat --staged').argv, ['diff', '--stat', '--staged']);
+assert.deepStrictEqual(parseGitCommand('log -n 3').argv, ['log', '--oneline', '--decorate', '-n', '3']);
+assert.deepStrictEqual(parseGitCommand('log -5').argv.at(-1), '5');
+assert.deepStrictEqual(parseGitCommand('log 500').argv.at(-1), '50', 'log capped');
+assert.deepStrictEqual(parseGitCommand('commit -am "Fix the parser"'), {
+  action: 'commit', argv: ['commit', '-a', '-m', 'Fix the parser'], mutating: true, label: 'git commit -am "Fix the parser"',
+});
+assert.deepStrictEqual(parseGitCommand("commit -m '--amend'").argv, ['commit', '-m', '--amend'], 'message is never an option');
+assert.deepStrictEqual(parseGitCommand('push origin main').argv, ['push', 'origin', 'main']);
+for (const bad of ['diff -p', 'log --format=%H', 'status --porcelain', 'push --force', 'push origin --delete', 'commit', 'commit -m ""', 'reset --hard', 'checkout .']) {
+  assert.ok(parseGitCommand(bad).error, `rejected: ${bad}`);
+}
+console.log('✓ Only whitelisted command shapes parse');
+
+// --- A real repo to run against ---
+const USER = '15551234567';
+const MEMBER = '15550000002';
+const VIEWER = '15550000003';
+const repo = mkdtempSync(join(tmpdir(), 'wa-claude-git-'));
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf-8' });
+git('init', '-q', '-b', 'main');
+git('config', 'user.email', 'dev@example.com');
+git('config', 'user.name', 'Dev');
+writeFileSync(join(repo, 'README.md'), '# demo\n');
+git('add', '.');
+git('commit', '-q', '-m', 'Initial commit');
+config.projectOverrides.demo = repo;
+
+const { transport, sent, manager, router } = await createSessionFixture({
+  name: 'git', users: { [USER]: 'admin', [MEMBER]: 'member', [VIEWER]: 'viewer' },
+});
+// The latest confirmation prompt: { body, ids }
+const confirmation = () => {
+  const { body, buttons } = sent.findLast(m => m.type === 'buttons');
+  return { body, ids: buttons.map(b => b.id) };
+};
+const user = { number: USER, role: 'admin' };
+const member = { number: MEMBER, role: 'member' };
+const viewer = { number: VIEWER, role: 'viewer' };
+
+assert.strictEqual(await router.handle(user, '/git status'), 'No active session.');
+manager.open(USER, 'demo');
+manager.open(MEMBER, 'demo');
+manager.sessions.get('demo').session.send = () => { throw new Error('no Claude query for /git'); };
+
+// --- Read-only commands run at once, formatted for WhatsApp ---
+writeFileSync(join(repo, 'README.md'), '# demo\n\nMore docs.\n');
+const status = await router.handle(user, '/git status');
+assert.match(status, /^📂 \*demo\* \| \*git status\*\n\n```\n## main\n M README.md\n```$/);
+assert.match(await router.handle(user, '/git diff'), /README\.md \| 2 \+\+/);
+assert.match(await router.handle(user, '/git log -n 1'), /```\n[0-9a-f]{7,} \(HEAD -> main\) Initial commit\n```/);
+assert.match(await router.handle(user, '/git branch'), /\* main/);
+assert.match(await router.handle(member, '/git status'), /M README\.md/, 'members can read');
+manager.open(VIEWER, 'demo');
+for (const command of ['/git status', '/git diff', '/git log', '/git branch']) {
+  assert.match(await router.handle(viewer, command), /Not allowed — your role is viewer/, `viewers can't run ${command}`);
+}
+assert.match(await router.handle(user, '/git rebase -i'), /^Usage: \/git status/);
+assert.match(await router.handle(user, '/git'), /Missing command/);
+console.log('✓ status, diff --stat, log -n and branch run directly');
+
+// --- commit needs a confirmation tap ---
+assert.match(await router.handle(member, '/git commit -am "Docs"'), /Not allowed — commit needs an admin/);
+assert.strictEqual(await router.handle(user, '/git commit -am "Expand docs"'), null);
+const confirm = confirmation();
+assert.strictEqual(confirm.body, '📂 *demo* | *[CONFIRM]* Run `git commit -am "Expand docs"`?');
+assert.match(git('log', '--oneline'), /^[0-9a-f]+ Initial commit\n$/, 'nothing committed before the tap');
+
+assert.match(await router.handle(member, '✓ Run', confirm.ids[0]), /Not allowed/, 'members cannot confirm');
+const committed = await router.handle(user, '✓ Run', confirm.ids[0]);
+assert.match(committed, /^📂 \*demo\* \| \*git commit -am "Expand docs"\*/);
+assert.match(committed, /1 file changed/);
+assert.match(git('log', '--oneline', '-n', '1'), /Expand docs/);
+assert.match(await router.handle(user, '✓ Run', confirm.ids[0]), /no longer waiting/, 'one tap, one run');
+console.log('✓ commit held for confirmation, then run');
+
+// --- Cancel, text fallback, errors ---
+await router.handle(user, '/git commit -m "Nothing staged"');
+assert.match(await router.handle(user, '✗ Cancel', confirmation().ids[1]), /_Cancelled git commit -m "Nothing staged"\._/);
+
+transport.sendButtons = async () => { throw new Error('buttons down'); };
+const fallback = await router.handle(user, '/git push');
+assert.match(fallback, /Reply \/git yes to run it or \/git no to cancel\./);
+const pushed = await router.handle(user, '/git yes');
+assert.match(pushed, /^📂 \*demo\* \| \*\[ERROR\]\* git push failed/, 'no remote configured');
+assert.match(pushed, /```\n(fatal|error): .*/);
+assert.match(await router.handle(user, '/git yes'), /No git command waiting for confirmation in demo/);
+
+config.claude.approvalTimeoutMs = 20;
+await router.handle(user, '/git push');
+await new Promise(r => setTimeout(r, 50));
+assert.match(await router.handle(user, '/git yes'), /No git command waiting/, 'confirmation expires');
+console.log('✓ Cancel, /git yes fallback, failures and expiry');
+
+assert.match(router.handle(user, '/help git'), /commit and push ask for confirmation first/);
+manager.kill('demo');
+console.log('\nAll /git tests passed.');
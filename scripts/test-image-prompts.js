@@ -0,0 +1,61 @@
+// Test script for image input — attachments ride along with the next relayed prompt
+//
+// Usage: node scripts/test-image-prompts.js
+
+import assert from 'assert';
+import { tmpdir } from 'os';
+import config from '../src/config.js';
+import { ClaudeSession } from '../src/claude-session.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing image prompts...\n');
+
+const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } };
+
+// --- ClaudeSession wraps content blocks as an SDKUserMessage stream ---
+const session = new ClaudeSession('demo', tmpdir());
+assert.strictEqual(session._toSdkPrompt('plain text'), 'plain text');
+
+const messages = [];
+for await (const msg of session._toSdkPrompt([image, { type: 'text', text: 'what is broken here?' }])) {
+  messages.push(msg);
+}
+assert.strictEqual(messages.length, 1);
+assert.strictEqual(messages[0].type, 'user');
+assert.deepStrictEqual(messages[0].message.content.map(b => b.type), ['image', 'text']);
+console.log('✓ Content blocks become a single multimodal user message');
+
+// --- SessionManager attaches pending images to the next relayed text ---
+const { manager } = await createSessionFixture({ name: 'image-prompts', projects: ['demo'] });
+const user = '15551234567';
+manager.open(user, 'demo');
+
+const prompts = [];
+const entry = manager.sessions.get('demo');
+entry.session.send = async (prompt) => { prompts.push(prompt); };
+
+assert.strictEqual(manager.attach(user, image), 1);
+assert.strictEqual(manager.relay(user, 'what is broken here?'), null);
+assert.deepStrictEqual(prompts[0], [image, { type: 'text', text: 'what is broken here?' }]);
+assert.deepStrictEqual(manager.users.get(user).pendingAttachments, []);
+console.log('✓ Pending image sent with the next message');
+
+manager.relay(user, 'plain follow-up');
+assert.strictEqual(prompts[1], 'plain follow-up');
+console.log('✓ Attachments consumed once');
+
+// Busy session — the attachment is queued along with its prompt
+manager.attach(user, image);
+Object.defineProperty(entry.session, 'isActive', { get: () => true });
+assert.strictEqual(manager.relay(user, 'too soon'), null);
+assert.deepStrictEqual(entry.queue[0].prompt, [image, { type: 'text', text: 'too soon' }]);
+assert.deepStrictEqual(manager.users.get(user).pendingAttachments, []);
+
+// ...unless the queue is full, in which case it stays pending
+config.claude.maxQueuedPrompts = 1;
+manager.attach(user, image);
+assert.match(manager.relay(user, 'no room'), /queue is full/);
+assert.strictEqual(manager.users.get(user).pendingAttachments.length, 1);
+console.log('✓ Attachment queued with its prompt when the session is busy');
+
+console.log('\n✅ Image prompt test complete');
@@ -0,0 +1,120 @@
+// Test script for image relay — images Claude writes or mentions are sent back
+//
+// Usage: node scripts/test-image-relay.js
+
+import assert from 'assert';
+import { mkdtempSync, mkdirSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { extractImagePaths, resolveProjectImage, findRecentImages } from '../src/image-finder.js';
+import { ClaudeSession } from '../src/claude-session.js';
+import { sendImage } from '../src/wa-client.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+const projectDir = mkdtempSync(join(tmpdir(), 'wa-claude-images-'));
+const outsideDir = mkdtempSync(join(tmpdir(), 'wa-claude-outside-'));
+const png = Buffer.from('89504e470d0a1a0a', 'hex');
+const write = (rel, mtime = null) => {
+  const path = join(projectDir, rel);
+  mkdirSync(join(path, '..'), { recursive: true });
+  writeFileSync(path, png);
+  if (mtime) utimesSync(path, mtime / 1000, mtime / 1000);
+  return path;
+};
+
+console.log('Testing image relay...\n');
+
+// --- image-finder ---
+assert.deepStrictEqual(
+  extractImagePaths('Saved the chart to `out/chart.png` and a copy at shots/Home.JPG (see out/chart.png). notes.txt'),
+  ['out/chart.png', 'shots/Home.JPG'],
+);
+console.log('✓ Image paths extracted from text');
+
+const chart = write('out/chart.png');
+writeFileSync(join(outsideDir, 'secret.png'), png);
+assert.strictEqual(resolveProjectImage(projectDir, 'out/chart.png'), chart);
+assert.strictEqual(resolveProjectImage(projectDir, join(outsideDir, 'secret.png')), null, 'outside project');
+assert.strictEqual(resolveProjectImage(projectDir, '../secret.png'), null, 'path traversal');
+assert.strictEqual(resolveProjectImage(projectDir, 'out/missing.png'), null, 'missing file');
+console.log('✓ Only existing images inside the project resolve');
+
+const start = Date.now() - 1000; // Slack for coarse filesystem timestamps
+write('old/logo.png', start - 60_000);
+const fresh = write('test-results/run/screenshot.png');
+write('node_modules/pkg/icon.png');
+write('.cache/thumb.png');
+assert.deepStrictEqual(findRecentImages(projectDir, start).sort(), [chart, fresh].sort());
+console.log('✓ Recent images found, old and dependency/hidden dirs skipped');
+
+// --- ClaudeSession collects candidates during a query ---
+const session = new ClaudeSession('alpha', projectDir);
+const emitted = [];
+session.on('images', (e) => emitted.push(e));
+
+session._queryStartedAt = start;
+session._processAssistantMessage({ message: { content: [
+  { type: 'tool_use', name: 'Write', input: { file_path: chart, content: '' } },
+  { type: 'text', text: 'Also see old/logo.png and ../outside.png' },
+] } });
+session._emitImages();
+assert.deepStrictEqual(emitted.pop(), { paths: [chart, join(projectDir, 'old/logo.png')], skipped: 0 });
+console.log('✓ Written and mentioned images relayed');
+
+session._processAssistantMessage({ message: { content: [
+  { type: 'tool_use', name: 'Bash', input: { command: 'npx playwright test' } },
+] } });
+session._emitImages();
+assert.deepStrictEqual(emitted.pop().paths.sort(), [chart, fresh].sort());
+console.log('✓ Images modified during a Bash command relayed');
+
+session._emitImages();
+assert.strictEqual(emitted.length, 0, 'nothing to relay → no event');
+
+for (let i = 0; i < config.images.maxPerQuery + 2; i++) write(`many/${i}.png`);
+session._ranBash = true;
+session._emitImages();
+const capped = emitted.pop();
+assert.strictEqual(capped.paths.length, config.images.maxPerQuery);
+assert.strictEqual(capped.skipped, 4, '7 new + chart + screenshot, capped at 5');
+console.log('✓ Per-query cap applied');
+
+// --- SessionManager sends them as images ---
+const { transport, sent, manager } = await createSessionFixture({ name: 'image-relay' });
+config.projectOverrides.alpha = projectDir;
+const images = () => sent.filter(m => m.type === 'image').map(m => ({ ...m.file, origin: m.origin }));
+manager.open('15551234567', 'alpha');
+const managed = manager.sessions.get('alpha').session;
+
+const big = write('big.jpg');
+writeFileSync(big, Buffer.alloc(config.images.maxBytes + 1));
+managed.emit('images', { paths: [chart, big], skipped: 2 });
+await new Promise(resolve => setTimeout(resolve, 50));
+assert.strictEqual(images().length, 1);
+assert.deepStrictEqual(
+  { ...images()[0], buffer: images()[0].buffer.length },
+  { buffer: png.length, filename: join('out', 'chart.png'), mimeType: 'image/png', caption: `📂 *alpha* | ${join('out', 'chart.png')}`, origin: { project: 'alpha', sessionId: null } },
+);
+assert.match(transport.bodies('text').at(-1), /big\.jpg is too large to send; 2 more image\(s\) not sent/);
+console.log('✓ Images sent with path captions; oversized and capped ones reported');
+
+// --- wa-client uploads and sends an image message ---
+config.outbound.minIntervalMs = 0;
+const requests = [];
+globalThis.fetch = async (url, { body }) => {
+  if (url.endsWith('/media')) {
+    requests.push({ upload: body.get('type') });
+    return { ok: true, status: 200, json: async () => ({ id: 'media-img-1' }) };
+  }
+  requests.push(JSON.parse(body));
+  return { ok: true, status: 200, json: async () => ({ messages: [{ id: 'wamid.img-1' }] }) };
+};
+await sendImage('15551234567', { buffer: png, filename: 'chart.png', mimeType: 'image/png', caption: 'chart' });
+assert.deepStrictEqual(requests, [
+  { upload: 'image/png' },
+  { messaging_product: 'whatsapp', to: '15551234567', type: 'image', image: { id: 'media-img-1', caption: 'chart' } },
+]);
+console.log('✓ sendImage uploads then sends an image message');
+
+console.log('\n✅ Image relay test complete');
@@ -0,0 +1,140 @@
+// Test script for paged interactive lists — "More…" rows, sections, filter context
+//
+// Usage: node scripts/test-list-pager.js
+
+import assert from 'assert';
+import { mkdirSync, mkdtempSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { paginate, encodePageToken, decodePageToken } from '../src/list-pager.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing list pagination...\n');
+
+const USER = '15550000001';
+
+// --- Page tokens ---
+assert.deepStrictEqual(decodePageToken(encodePageToken('open', 2, 'web app:v2')), { list: 'open', page: 2, filter: 'web app:v2' });
+assert.deepStrictEqual(decodePageToken(encodePageToken('open', 1, 'x'.repeat(300))), { list: 'open', page: 1, filter: '' }, 'oversized filter dropped');
+assert.strictEqual(decodePageToken('alpha'), null, 'project ids are not tokens');
+assert.strictEqual(decodePageToken('page:open:x:'), null);
+assert.strictEqual(decodePageToken('page:open:1:%E0%A4%A'), null, 'malformed escape');
+console.log('✓ Page tokens round-trip');
+
+// --- paginate() ---
+const items = (n, extra = {}) => Array.from({ length: n }, (_, i) => ({ id: `p${i}`, title: `p${i}`, ...extra }));
+const rowIds = (sections) => sections.flatMap(s => s.rows.map(r => r.id));
+
+const single = paginate(items(10), { list: 'open' });
+assert.strictEqual(single.pageCount, 1);
+assert.strictEqual(rowIds(single.sections).length, 10, 'exactly 10 fits on one page');
+
+const first = paginate(items(25), { list: 'open', filter: 'p' });
+assert.strictEqual(first.pageCount, 3);
+const firstRows = first.sections[0].rows;
+assert.strictEqual(firstRows.length, 10, '9 items + More…');
+assert.deepStrictEqual(firstRows.at(-1), { id: encodePageToken('open', 1, 'p'), title: 'More…', description: '10–18 of 25' });
+
+const last = paginate(items(25), { list: 'open', page: 2 });
+assert.deepStrictEqual(rowIds(last.sections), ['p18', 'p19', 'p20', 'p21', 'p22', 'p23', 'p24'], 'last page has no More…');
+assert.strictEqual(paginate(items(12), { list: 'open', page: 7 }).page, 1, 'page past the end clamped');
+
+const grouped = paginate(
+  [...items(2, { section: 'A' }), ...items(12, { section: 'B' })],
+  { list: 'open' },
+);
+assert.deepStrictEqual(grouped.sections.map(s => s.title), ['A', 'B', 'More']);
+assert.ok(grouped.sections.flatMap(s => s.rows).length <= 10);
+
+const long = paginate([{ id: 'x', title: 'a-really-long-project-directory-name', description: 'd'.repeat(100) }], { list: 'open' });
+assert.strictEqual(long.sections[0].rows[0].title.length, 24, 'titles clipped to WhatsApp limit');
+assert.strictEqual(long.sections[0].rows[0].description.length, 72);
+console.log('✓ paginate() pages, sections and clips');
+
+// --- /open, More…, filters and grouping through the router ---
+config.projectRoot = mkdtempSync(join(tmpdir(), 'wa-claude-projects-'));
+const names = [
+  ...Array.from({ length: 14 }, (_, i) => `api-${String(i).padStart(2, '0')}`),
+  ...Array.from({ length: 12 }, (_, i) => `web-${String(i).padStart(2, '0')}`),
+  'zeta',
+];
+for (const name of names) mkdirSync(join(config.projectRoot, name));
+
+const { transport, sent, manager, router } = await createSessionFixture({ name: 'lists', users: { [USER]: 'admin' } });
+const lists = () => sent.filter(m => m.type === 'list');
+const user = { number: USER, role: 'admin' };
+const tap = (id) => router.handle(user, id, id);
+const shown = () => rowIds(lists().at(-1).sections);
+const moreId = () => shown().find(id => id.startsWith('page:'));
+
+assert.strictEqual(await router.handle(user, '/open'), null);
+assert.match(lists().at(-1).body, /27 projects\. Use \/open <prefix> to filter\.\n\n_Page 1 of 3_/);
+assert.deepStrictEqual(shown().slice(0, 9), names.slice(0, 9).map(name => `open_${name}`));
+
+await tap(moreId());
+assert.match(lists().at(-1).body, /_Page 2 of 3_/);
+assert.deepStrictEqual(shown().slice(0, 9), names.slice(9, 18).map(name => `open_${name}`));
+await tap(moreId());
+assert.deepStrictEqual(shown(), names.slice(18).map(name => `open_${name}`), 'last page, no More…');
+console.log('✓ /open pages through every project');
+
+await router.handle(user, '/open web');
+assert.match(lists().at(-1).body, /12 projects match "web"/);
+await tap(moreId());
+assert.deepStrictEqual(shown(), ['open_web-09', 'open_web-10', 'open_web-11'], 'filter kept on the next page');
+console.log('✓ Filter context carried by the page token');
+
+config.lists.projectSections = 'letter';
+manager.open(USER, 'web-05');
+await router.handle(user, '/open');
+const sections = lists().at(-1).sections;
+assert.deepStrictEqual(sections.map(s => s.title), ['Active sessions', 'A', 'More']);
+assert.deepStrictEqual(sections[0].rows.map(r => r.id), ['open_web-05']);
+
+config.lists.projectSections = 'recency';
+const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+for (const name of names.filter(n => n !== 'zeta')) utimesSync(join(config.projectRoot, name), old, old);
+await router.handle(user, '/open');
+assert.deepStrictEqual(lists().at(-1).sections.map(s => s.title), ['Active sessions', 'Today', 'Older', 'More']);
+assert.deepStrictEqual(lists().at(-1).sections[1].rows.map(r => r.id), ['open_zeta'], 'most recent first');
+config.lists.projectSections = 'none';
+console.log('✓ Projects grouped by letter or recency');
+
+// --- /kill and /restart menus page too ---
+for (const name of names.slice(0, 12)) manager.open(USER, name);
+await router.handle(user, '/kill');
+assert.strictEqual(lists().at(-1).buttonText, 'Kill Session');
+assert.ok(shown().slice(0, 9).every(id => id.startsWith('kill_')));
+await tap(moreId());
+assert.deepStrictEqual(shown(), ['kill_api-08', 'kill_api-09', 'kill_api-10', 'kill_api-11'], 'sessions 10–13 (web-05 opened first)');
+
+await router.handle(user, '/restart');
+await tap(moreId());
+assert.strictEqual(lists().at(-1).buttonText, 'Restart Session');
+assert.ok(shown().every(id => id.startsWith('restart_')));
+console.log('✓ /kill and /restart menus paged');
+
+// --- Project rows are namespaced, so names that look like other buttons still open ---
+for (const name of ['model_training', 'modeok_1']) mkdirSync(join(config.projectRoot, name));
+await router.handle(user, '/open mode');
+assert.deepStrictEqual(shown(), ['open_model_training', 'open_modeok_1']);
+for (const id of shown()) {
+  assert.match(await tap(id), /Opened/);
+  assert.strictEqual(manager.getActiveProject(USER), id.slice(5));
+}
+console.log('✓ Projects named like other buttons open from the list');
+
+// --- Text fallback when the list can't be sent ---
+transport.sendList = async () => { throw new Error('Graph down'); };
+const fallback = await router.handle(user, '/open api');
+assert.match(fallback, /• api-00 ●/);
+assert.match(fallback, /\.\.\.and 5 more/);
+assert.match(fallback, /Reply with: \/open <project-name>/);
+console.log('✓ Text fallback lists the page');
+
+// The viewer can't page through (or open) anything
+assert.match(await router.handle({ number: '15550000003', role: 'viewer' }, 'More…', encodePageToken('open', 1)), /Not allowed/);
+
+for (const name of manager.sessions.keys()) manager.kill(name);
+console.log('\nAll list pagination tests passed.');
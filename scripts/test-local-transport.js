@@ -0,0 +1,147 @@
+// Test script for the local transport — drive the bridge over loopback HTTP
+//
+// Usage: node scripts/test-local-transport.js
+
+import assert from 'assert';
+import express from 'express';
+import http from 'http';
+import { mkdtempSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { createTransport } from '../src/transport.js';
+import { createLocalTransport } from '../src/transports/local.js';
+import { Bridge } from '../src/bridge.js';
+import { StubTranscriber } from '../src/transcriber.js';
+
+console.log('Testing local transport...\n');
+
+assert.strictEqual((await createTransport('whatsapp')).name, 'whatsapp');
+assert.strictEqual((await createTransport('local')).name, 'local');
+await assert.rejects(createTransport('telegram'), /Unknown transport/);
+console.log('✓ Transports created by name');
+
+config.users = { local: 'admin', 'admin-number': 'admin' };
+config.projectOverrides.alpha = mkdtempSync(join(tmpdir(), 'wa-claude-alpha-'));
+const outboxDir = mkdtempSync(join(tmpdir(), 'wa-claude-outbox-'));
+
+const transport = createLocalTransport({ console: false, outboxDir });
+const bridge = new Bridge(transport, { transcriber: new StubTranscriber('dictated task') });
+const app = express();
+transport.mount(app, bridge);
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}/local/messages`;
+
+const post = async (body) => (await fetch(base, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+})).json();
+const poll = async (after) => (await fetch(`${base}?after=${after}&to=local`)).json();
+
+try {
+  // --- Commands round-trip through the same router ---
+  const help = await post({ text: '/help' });
+  assert.match(help.messages[0].text, /\/open/);
+  assert.strictEqual(help.messages[0].to, 'local');
+
+  config.users.local = 'viewer';
+  const denied = await post({ text: '/open alpha' });
+  assert.match(denied.messages[0].text, /Not allowed — your role is viewer/);
+
+  delete config.users.local;
+  const ignored = await post({ text: '/help' });
+  assert.deepStrictEqual(ignored.messages, [], 'unknown users ignored');
+  config.users.local = 'admin';
+  console.log('✓ Commands answered, roles and allowlist enforced');
+
+  // --- The sender is always the local user; foreign Host headers are refused ---
+  config.users.local = 'viewer';
+  const spoofed = await post({ from: 'admin-number', text: '/open alpha' });
+  assert.strictEqual(spoofed.messages[0].to, 'local');
+  assert.match(spoofed.messages[0].text, /Not allowed — your role is viewer/);
+  config.users.local = 'admin';
+
+  const { port } = server.address();
+  const rebound = await new Promise((resolve, reject) => {
+    http.request({ host: '127.0.0.1', port, path: '/local/messages', method: 'POST',
+      headers: { Host: `evil.example:${port}`, 'Content-Type': 'application/json' } }, resolve)
+      .on('error', reject)
+      .end(JSON.stringify({ text: '/help' }));
+  });
+  rebound.resume();
+  assert.strictEqual(rebound.statusCode, 403, 'DNS-rebound Host rejected');
+  assert.strictEqual((await fetch(`http://localhost:${port}/local/messages?after=0`)).status, 200, 'localhost Host accepted');
+  console.log('✓ Sender fixed to the local user; foreign Host headers rejected');
+
+  const opened = await post({ buttonReplyId: 'alpha' }); // Project list row
+  assert.match(opened.messages[0].text, /Opened alpha/);
+
+  // --- Prompts reach the session; output arrives via polling ---
+  const { session } = bridge.sessionManager.sessions.get('alpha');
+  const prompts = [];
+  session.send = async (prompt) => { prompts.push(prompt); };
+
+  const ack = await post({ text: 'refactor the parser' });
+  assert.deepStrictEqual(prompts, ['refactor the parser']);
+  assert.match(ack.messages[0].text, /Working on it/);
+
+  session.emit('text-chunk', 'Parser refactored.');
+  const { messages: output } = await poll(ack.seq);
+  assert.match(output[0].text, /📂 \*alpha\* \| Parser refactored\./);
+  assert.strictEqual(output[0].origin.project, 'alpha');
+  console.log('✓ Prompts relayed, output polled with its origin');
+
+  // Quoted replies route by the local message id
+  assert.deepStrictEqual(transport.getOrigin(output[0].id), output[0].origin);
+  await post({ text: 'and add tests', quotedId: output[0].id });
+  assert.strictEqual(prompts.at(-1), 'and add tests');
+
+  // --- Buttons show their ids; "#id" in the console / buttonReplyId over HTTP taps them ---
+  session._pendingApproval = { id: 7, resolve: (approved) => prompts.push(`approved:${approved}`) };
+  session.emit('approval-needed', { approvalId: 7, description: '`rm -rf build`' });
+  const approval = transport.getMessages().findLast(m => m.type === 'buttons');
+  assert.strictEqual(approval.type, 'buttons');
+  assert.deepStrictEqual(approval.buttons.map(b => b.id), ['approve_7_alpha', 'deny_7_alpha']);
+  await post({ buttonReplyId: 'approve_7_alpha' });
+  assert.strictEqual(prompts.at(-1), 'approved:true');
+  console.log('✓ Quoted replies and approval buttons work');
+
+  // --- Media posted as base64 goes through the same attach/transcribe paths ---
+  const png = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+  await post({ media: { type: 'image', data: png, mimeType: 'image/png', caption: 'what is wrong here?' } });
+  const [image, caption] = prompts.at(-1);
+  assert.strictEqual(image.type, 'image');
+  assert.strictEqual(caption.text, 'what is wrong here?');
+
+  const voice = await post({ media: { type: 'audio', data: Buffer.from('ogg').toString('base64'), mimeType: 'audio/ogg' } });
+  assert.match(voice.messages[0].text, /dictated task/);
+  assert.strictEqual(prompts.at(-1), 'dictated task');
+  const big = Buffer.alloc(2 * 1024 * 1024).toString('base64');
+  await post({ media: { type: 'image', data: big, mimeType: 'image/png', caption: 'a big one' } });
+  assert.strictEqual(prompts.at(-1)[1].text, 'a big one', 'larger body limit on the local routes');
+  console.log('✓ Images and voice notes accepted');
+
+  // --- Requests with nothing to handle are refused, not passed to the router ---
+  for (const body of [{}, { text: '' }, { media: { type: 'video', data: png } }, { media: { type: 'image' } }]) {
+    const res = await fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    assert.strictEqual(res.status, 400, JSON.stringify(body));
+    assert.doesNotMatch((await res.json()).error, /Cannot read properties/);
+  }
+  console.log('✓ Text-less and unsupported-media requests get a 400');
+
+  // --- Documents and images sent out land on disk ---
+  await transport.sendDocument('local', { buffer: Buffer.from('full output'), filename: 'alpha.md', mimeType: 'text/plain', caption: 'Full output' });
+  const [doc] = transport.getMessages({ after: transport.getMessages().at(-1).seq - 1 });
+  assert.strictEqual(doc.type, 'document');
+  assert.strictEqual(readFileSync(doc.path, 'utf-8'), 'full output');
+  console.log('✓ Outbound files written to the outbox dir');
+
+  const missed = await post({ text: '/missed' });
+  assert.match(missed.messages[0].text, /doesn't track deliveries/);
+  console.log('✓ Transport-specific commands degrade gracefully');
+} finally {
+  server.close();
+}
+
+console.log('\n✅ Local transport test complete');
@@ -0,0 +1,38 @@
+// Test script for message dedupe — verifies duplicate, late and expired handling
+//
+// Usage: node scripts/test-message-dedupe.js
+
+import assert from 'assert';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MessageDedupe } from '../src/message-dedupe.js';
+
+console.log('Testing MessageDedupe...\n');
+
+const storePath = join(mkdtempSync(join(tmpdir(), 'wa-claude-')), 'seen.json');
+const now = Math.floor(Date.now() / 1000);
+const from = '15551234567';
+
+const dedupe = new MessageDedupe(storePath, 60 * 60 * 1000);
+
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.A', from, timestamp: now - 10 }), { accepted: true });
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.A', from, timestamp: now - 10 }), { accepted: false, reason: 'duplicate' });
+console.log('✓ Duplicate id dropped');
+
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.B', from, timestamp: now }), { accepted: true });
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.C', from, timestamp: now - 5 }), { accepted: false, reason: 'late' });
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.D', from, timestamp: now }), { accepted: true }, 'same-second message accepted');
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.E', from: '15550000000', timestamp: now - 5 }), { accepted: true }, 'other sender unaffected');
+console.log('✓ Late out-of-order delivery dropped');
+
+assert.deepStrictEqual(dedupe.check({ id: 'wamid.F', from, timestamp: now - 2 * 60 * 60 }), { accepted: false, reason: 'expired' });
+console.log('✓ Delivery older than TTL dropped');
+
+// Simulate a restart — a fresh instance on the same file remembers everything
+const restarted = new MessageDedupe(storePath, 60 * 60 * 1000);
+assert.deepStrictEqual(restarted.check({ id: 'wamid.B', from, timestamp: now }), { accepted: false, reason: 'duplicate' });
+assert.deepStrictEqual(restarted.check({ id: 'wamid.G', from, timestamp: now - 5 }), { accepted: false, reason: 'late' });
+console.log('✓ Store survives restart');
+
+console.log('\n✅ Message dedupe test complete');
@@ -0,0 +1,86 @@
+// Test script for per-session model switching — /model
+//
+// Usage: node scripts/test-model-switching.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { ScriptedSdk, text, result } from './harness/scripted-query.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing model switching...\n');
+
+const USER = '15551234567';
+config.claude.model = 'sonnet';
+config.claude.streamBufferMs = 10;
+const sdk = new ScriptedSdk();
+const { sent, manager, router, dirs } = await createSessionFixture({
+  name: 'model', users: { [USER]: 'admin' }, projects: ['alpha', 'beta'], query: sdk.query,
+});
+const ALPHA = dirs.alpha;
+const user = { number: USER, role: 'admin' };
+
+manager.open(USER, 'beta');
+manager.open(USER, 'alpha');
+const ask = async (project, prompt) => {
+  sdk.script(dirs[project], [text('ok'), result({ cost: 0.02 })]);
+  await manager.sessions.get(project).session.send(prompt);
+  return sdk.calls.at(-1).options.model;
+};
+
+// --- default model from config ---
+assert.strictEqual(await ask('alpha', 'triage'), 'sonnet');
+console.log('✓ sessions start on config.claude.model');
+
+// --- /model <alias> switches only the active session ---
+assert.match(router.handle(user, '/model haiku'), /📂 \*alpha\* \| Model: \*haiku\*\./);
+assert.strictEqual(await ask('alpha', 'triage again'), 'haiku');
+assert.strictEqual(await ask('beta', 'unrelated'), 'sonnet');
+console.log('✓ /model haiku applies to the active session only');
+
+// --- full ids are accepted, unknown names refused ---
+assert.match(router.handle(user, '/model claude-opus-4-1-20250805'), /Model: \*claude-opus-4-1-20250805\*/);
+assert.match(router.handle(user, '/model gpt-4'), /Unknown model "gpt-4"\. Use sonnet, opus, haiku or a full model id/);
+assert.strictEqual(manager.sessions.get('alpha').session.model, 'claude-opus-4-1-20250805');
+console.log('✓ full model ids accepted, unknown names refused');
+
+// --- /model alone shows buttons; tapping one switches ---
+sent.length = 0;
+assert.strictEqual(await router.handle(user, '/model'), null);
+const picker = sent.find(m => m.type === 'buttons');
+assert.match(picker.body, /Model: \*claude-opus-4-1-20250805\*/);
+assert.deepStrictEqual(picker.buttons.map(b => b.id), ['model_alpha:sonnet', 'model_alpha:opus', 'model_alpha:haiku']);
+assert.match(router.handle(user, null, 'model_alpha:opus'), /Model: \*opus\*/);
+assert.strictEqual(await ask('alpha', 'hard refactor'), 'opus');
+console.log('✓ /model with no argument offers buttons');
+
+// --- survives /restart, shown in /list and /status ---
+router.handle(user, '/restart');
+assert.strictEqual(manager.sessions.get('alpha').session.model, 'opus');
+assert.match(router.handle(user, '/list'), /\*alpha\* — idle, brief, opus/);
+assert.match(router.handle(user, '/list'), /\*beta\* — idle, brief, sonnet/);
+assert.match(router.handle(user, '/status'), /Model: opus/);
+console.log('✓ model survives /restart and shows in /list and /status');
+
+// --- a switch mid-query applies from the next query; the running one keeps its model ---
+const session = manager.sessions.get('alpha').session;
+sdk.script(ALPHA, [text('ok'), { canUseTool: ['Bash', { command: 'npm test' }] }, result({ cost: 0.02 })]);
+const running = session.send('refactor');
+while (!session.hasPendingApproval) await new Promise(resolve => setImmediate(resolve));
+assert.match(router.handle(user, '/model haiku'), /Model: \*haiku\* — from the next message/);
+router.handle(user, '/yes');
+await running;
+assert.strictEqual(sdk.calls.at(-1).options.model, 'opus');
+assert.strictEqual(manager.costTracker._log.queries.at(-1).model, 'opus');
+assert.strictEqual(await ask('alpha', 'triage'), 'haiku');
+console.log('✓ a mid-query /model switch applies from the next query');
+
+// --- recorded with each query's cost ---
+const models = manager.costTracker._log.queries.map(q => q.model);
+assert.deepStrictEqual(models, ['sonnet', 'haiku', 'sonnet', 'opus', 'opus', 'haiku']);
+const report = manager.costTracker.formatReport({ period: 'all' });
+assert.match(report, /_By model:_/);
+assert.match(report, /• sonnet: \$0\.0400 \(2q\)/);
+console.log('✓ cost records carry the model');
+
+console.log('\nAll model switching tests passed!');
+process.exit(0);
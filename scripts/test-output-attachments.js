@@ -0,0 +1,92 @@
+// Test script for output attachments — long outputs and /full sent as document files
+//
+// Usage: node scripts/test-output-attachments.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { ContentProcessor } from '../src/content-processor.js';
+import { sendMessage, sendDocument } from '../src/wa-client.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+const to = '15551234567';
+const longCode = '```js\n' + Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n') + '\n```';
+const padding = 'Some explanation of the change. '.repeat(40);
+
+console.log('Testing output attachments...\n');
+
+// --- ContentProcessor decides when a file is needed ---
+const processor = new ContentProcessor();
+assert.strictEqual(processor.needsAttachment('short answer'), false);
+assert.strictEqual(processor.needsAttachment('x'.repeat(config.output.attachmentThreshold + 1)), true);
+assert.strictEqual(processor.needsAttachment(`${padding}\n\n${longCode}`), true, 'long code block would be cut');
+assert.strictEqual(processor.needsAttachment(longCode), false, 'under summarizeThreshold nothing is cut');
+console.log('✓ Attachment needed for oversized output or cut code blocks');
+
+assert.match(processor.summarize(`${padding}\n\n${longCode}`, { attached: true }), /more lines — see attached file/);
+assert.match(processor.summarize(`${padding}\n\n${longCode}`), /more lines — reply \/full to see/);
+console.log('✓ Truncation markers point at the attachment when there is one');
+
+// --- wa-client uploads, then sends a document message, in queue order ---
+config.outbound.minIntervalMs = 0;
+const requests = [];
+let seq = 0;
+globalThis.fetch = async (url, { body }) => {
+  if (url.endsWith('/media')) {
+    requests.push({ kind: 'upload', type: body.get('type'), file: await body.get('file').text(), filename: body.get('file').name });
+    return { ok: true, status: 200, json: async () => ({ id: 'media-out-1' }) };
+  }
+  requests.push({ kind: 'message', payload: JSON.parse(body) });
+  return { ok: true, status: 200, json: async () => ({ messages: [{ id: `wamid.att-${++seq}` }] }) };
+};
+
+await Promise.all([
+  sendMessage(to, 'summary first'),
+  sendDocument(to, { buffer: Buffer.from('full text'), filename: 'alpha.md', mimeType: 'text/plain', caption: 'c'.repeat(2000) }),
+  sendMessage(to, 'after the file'),
+]);
+assert.deepStrictEqual(requests.map(r => r.kind), ['message', 'upload', 'message', 'message']);
+assert.deepStrictEqual(requests[1], { kind: 'upload', type: 'text/plain', file: 'full text', filename: 'alpha.md' });
+const doc = requests[2].payload;
+assert.strictEqual(doc.type, 'document');
+assert.deepStrictEqual({ ...doc.document, caption: doc.document.caption.length }, { id: 'media-out-1', filename: 'alpha.md', caption: 1024 });
+assert.strictEqual(requests[3].payload.text.body, 'after the file');
+console.log('✓ Document uploaded and sent in order, caption capped');
+
+// --- SessionManager attaches long outputs; /full always sends a file ---
+const { transport, sent, manager, router } = await createSessionFixture({ name: 'attachments', projects: ['alpha'] });
+const texts = () => transport.bodies('text');
+const files = () => sent.filter(m => m.type === 'document').map(m => ({ ...m.file, origin: m.origin }));
+const user = { number: to, role: 'admin' };
+manager.open(user.number, 'alpha');
+const { session } = manager.sessions.get('alpha');
+
+const output = `${padding}\n\n${longCode}`;
+session.emit('text-chunk', output);
+await new Promise(resolve => setImmediate(resolve));
+assert.ok(texts().some(t => t.includes('see attached file')), 'summary sent inline');
+assert.strictEqual(files().length, 1);
+assert.strictEqual(files()[0].buffer.toString(), output.trim());
+assert.match(files()[0].filename, /^alpha-\d{8}-\d{4}\.md$/);
+assert.match(files()[0].caption, /Full output — \d+ lines/);
+assert.strictEqual(files()[0].origin.project, 'alpha');
+console.log('✓ Long output summarized inline with the full text attached');
+
+session.emit('text-chunk', 'short answer');
+await new Promise(resolve => setImmediate(resolve));
+assert.strictEqual(files().length, 1, 'short output not attached');
+
+session._fullResponse = 'the whole response';
+assert.strictEqual(await router.handle(user, '/full'), null);
+assert.strictEqual(files().length, 2);
+assert.strictEqual(files()[1].buffer.toString(), 'the whole response');
+console.log('✓ /full sends the last output as a file');
+
+transport.sendDocument = async () => { throw new Error('upload failed'); };
+assert.strictEqual(await router.handle(user, '/full'), 'the whole response');
+console.log('✓ /full falls back to text if the attachment fails');
+
+session._fullResponse = '';
+assert.strictEqual(await router.handle(user, '/full'), '(no recent output)');
+assert.strictEqual(await router.handle({ number: '1999', role: 'admin' }, '/full'), 'No active session.');
+
+console.log('\n✅ Output attachment test complete');
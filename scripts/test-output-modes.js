@@ -0,0 +1,101 @@
+// Test script for per-session output modes — /brief, /verbose, /quiet
+//
+// Usage: node scripts/test-output-modes.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { ScriptedSdk, text, toolUse, result } from './harness/scripted-query.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing output modes...\n');
+
+const USER = '15551234567';
+config.claude.streamBufferMs = 10;
+const sdk = new ScriptedSdk();
+const { sent, manager, router, dirs } = await createSessionFixture({
+  name: 'output', users: { [USER]: 'admin' }, projects: ['alpha', 'beta'], query: sdk.query,
+});
+const ALPHA = dirs.alpha;
+const user = { number: USER, role: 'admin' };
+
+manager.open(USER, 'beta');
+manager.open(USER, 'alpha');
+const { session } = manager.sessions.get('alpha');
+
+// A query with working-out, a tool use and a long final answer
+const longAnswer = 'The answer, explained at length. '.repeat(80).trim();
+const run = async () => {
+  sdk.script(ALPHA, [
+    text('Let me look at the code first.'),
+    toolUse('Read', { file_path: 'src/index.js' }),
+    text(longAnswer),
+    result(),
+  ]);
+  sent.length = 0;
+  await session.send('explain');
+  return sent.filter(m => !/Working on it/.test(m.body));
+};
+
+// --- brief (default) — tool notices, summarized output ---
+assert.strictEqual(manager.sessions.get('alpha').outputMode, 'brief');
+let out = await run();
+assert.deepStrictEqual(out.map(m => m.type), ['text', 'text', 'text']);
+assert.match(out[0].body, /Let me look at the code first\./);
+assert.match(out[1].body, /_Reading src\/index\.js_/);
+assert.ok(out[2].body.length < longAnswer.length, 'long answer summarized');
+console.log('✓ brief: tool notices and summarized output');
+
+// --- verbose — everything as-is ---
+assert.match(router.handle(user, '/verbose'), /📂 \*alpha\* \| Output: \*verbose\* — full output, nothing summarized\./);
+out = await run();
+assert.strictEqual(out.length, 3);
+assert.ok(out[2].body.includes(longAnswer), 'full answer inline');
+console.log('✓ verbose: nothing summarized');
+
+// --- quiet — only the final answer, after the query ends ---
+router.handle(user, '/quiet');
+out = await run();
+assert.strictEqual(out.length, 1, 'no working-out, no tool notice');
+assert.match(out[0].body, /^📂 \*alpha\* \| The answer, explained/);
+assert.ok(out[0].body.length < longAnswer.length, 'final answer still summarized');
+
+// Text interrupted by an approval prompt isn't the answer either
+sdk.script(ALPHA, [
+  text('I need to run the tests.'),
+  { canUseTool: ['Bash', { command: 'npm test' }] },
+  text('All 12 tests pass.'),
+  result(),
+]);
+sent.length = 0;
+const running = session.send('run the tests');
+await new Promise(r => setTimeout(r, 30));
+assert.match(manager.approveAction(USER, true), /Approved/);
+await running;
+const texts = sent.filter(m => m.type === 'text' && !/Working on it/.test(m.body)).map(m => m.body);
+assert.deepStrictEqual(texts, ['📂 *alpha* | All 12 tests pass.']);
+assert.strictEqual(sent.filter(m => m.type === 'buttons').length, 1, 'approval still prompted');
+console.log('✓ quiet: final answer only, approvals still shown');
+
+// --- Per session, shown in /list and /status, kept across /restart ---
+assert.strictEqual(manager.sessions.get('beta').outputMode, 'brief', 'other sessions unaffected');
+router.handle(user, '/brief');
+router.handle(user, '/quiet', null, 'beta'); // Swipe-reply to a beta message
+assert.strictEqual(manager.sessions.get('alpha').outputMode, 'brief');
+assert.strictEqual(manager.sessions.get('beta').outputMode, 'quiet');
+
+const list = router.handle(user, '/list');
+assert.match(list, /> \*alpha\* — idle, brief/);
+assert.match(list, /\*beta\* — idle, quiet/);
+assert.match(router.handle(user, '/status'), /Output: brief/);
+
+manager.restart(USER, 'beta');
+assert.strictEqual(manager.sessions.get('beta').outputMode, 'quiet', 'mode survives restart');
+assert.match(router.handle(user, '/status'), /Output: quiet/, 'restart made beta active');
+console.log('✓ Mode per session, listed, kept across restart');
+
+assert.match(router.handle(user, '/help'), /\/quiet — Output mode: final answer only, no tool notices/);
+manager.kill('alpha');
+manager.kill('beta');
+assert.strictEqual(router.handle(user, '/verbose'), 'No active session.');
+
+console.log('\nAll output mode tests passed.');
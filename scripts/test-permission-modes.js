@@ -0,0 +1,164 @@
+// Test script for per-session permission modes — /mode, plan approvals
+//
+// Usage: node scripts/test-permission-modes.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { ScriptedSdk, text, result } from './harness/scripted-query.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing permission modes...\n');
+
+const ADMIN = '15551234567';
+const MEMBER = '15557654321';
+config.claude.permissionMode = 'acceptEdits';
+config.claude.streamBufferMs = 10;
+const sdk = new ScriptedSdk();
+const { sent, manager, router, dirs } = await createSessionFixture({
+  name: 'modes', users: { [ADMIN]: 'admin', [MEMBER]: 'member' }, projects: ['alpha'], query: sdk.query,
+});
+const ALPHA = dirs.alpha;
+const admin = { number: ADMIN, role: 'admin' };
+const member = { number: MEMBER, role: 'member' };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const tap = (prompt, action) => prompt.buttons.find(b => b.id.startsWith(`${action}_`)).id;
+
+manager.open(ADMIN, 'alpha');
+manager.open(MEMBER, 'alpha');
+const session = () => manager.sessions.get('alpha').session;
+
+// Runs a query that asks for one tool; answers the prompt by tapping its
+// approve/deny/plankeep button (or returns the decision when the tool is auto-approved)
+const ask = async (toolName, input, answer = null) => {
+  sdk.script(ALPHA, [{ canUseTool: [toolName, input] }, text('done'), result()]);
+  sent.length = 0;
+  const running = session().send('go');
+  let prompt, reply;
+  if (answer) {
+    while (!(prompt = sent.find(m => m.type === 'buttons'))) await sleep(5);
+    reply = router.handle(admin, null, tap(prompt, answer));
+  }
+  await running;
+  return { prompt, reply, decision: sdk.decisions.at(-1).decision };
+};
+
+// --- default mode comes from config; edits auto-approved in acceptEdits ---
+assert.strictEqual(sdk.calls.length, 0);
+let { decision } = await ask('Edit', { file_path: 'a.js' });
+assert.strictEqual(decision.behavior, 'allow');
+assert.strictEqual(sdk.calls.at(-1).options.permissionMode, 'acceptEdits');
+console.log('✓ sessions start in config.claude.permissionMode');
+
+// --- every [ACTION NEEDED] names the mode ---
+let { prompt } = await ask('Bash', { command: 'ls' }, 'approve');
+assert.match(prompt.body, /^📂 \*alpha\* \| \*\[ACTION NEEDED\]\* _\(mode: acceptEdits\)_\n\n📂 \*alpha\* \| Claude wants to run:\n📂 \*alpha\* \| `ls`/);
+console.log('✓ [ACTION NEEDED] shows the current mode');
+
+// --- /mode with no argument lists the modes ---
+assert.match(await router.handle(admin, '/mode'), /Mode: \*acceptEdits\*\n\n📂 \*alpha\* \| • \*plan\* — .*\n📂 \*alpha\* \| • \*default\* — .*\n📂 \*alpha\* \| ● \*acceptEdits\* — /);
+assert.match(await router.handle(admin, '/mode yolo'), /Unknown mode "yolo"\. Use plan, default, acceptEdits, bypass\./);
+console.log('✓ /mode lists modes and refuses unknown ones');
+
+// --- default: edits ask too ---
+assert.match(await router.handle(admin, '/mode default'), /📂 \*alpha\* \| Mode: \*default\* — edits and commands ask for approval\./);
+({ prompt, decision } = await ask('Edit', { file_path: 'a.js' }, 'deny'));
+assert.match(prompt.body, /_\(mode: default\)_/);
+assert.strictEqual(decision.behavior, 'deny');
+assert.strictEqual(sdk.calls.at(-1).options.permissionMode, 'default');
+console.log('✓ default mode asks before edits');
+
+// --- plan: the plan comes formatted with three buttons ---
+await router.handle(member, '/mode plan');
+const plan = '## Plan\n\n1. Add **retry** to the client\n2. Write tests';
+let reply;
+({ prompt, reply, decision } = await ask('ExitPlanMode', { plan }, 'plankeep'));
+assert.match(reply, /_Keep planning — reply with what to change\._/);
+assert.match(prompt.body, /\*\[ACTION NEEDED\]\* _\(mode: plan\)_\n\n📂 \*alpha\* \| Claude's plan:\n\n📂 \*alpha\* \| \*Plan\*\n\n📂 \*alpha\* \| 1\. Add \*retry\* to the client/);
+assert.ok(!prompt.body.includes('{'), 'no raw JSON');
+assert.deepStrictEqual(prompt.buttons.map(b => b.id.replace(/_\d+_/, '_')), ['approve_alpha', 'plankeep_alpha', 'deny_alpha']);
+assert.deepStrictEqual(prompt.buttons.map(b => b.title), ['✓ Approve plan', '✎ Keep planning', '✗ Reject']);
+assert.strictEqual(decision.behavior, 'deny');
+assert.strictEqual(decision.interrupt, false);
+assert.match(decision.message, /keep planning/);
+assert.strictEqual(session().permissionMode, 'plan');
+console.log('✓ Keep planning sends Claude back to the plan');
+
+({ reply, decision } = await ask('ExitPlanMode', { plan }, 'deny'));
+assert.match(reply, /_Plan rejected\._/);
+assert.strictEqual(decision.behavior, 'deny');
+assert.strictEqual(decision.interrupt, true);
+assert.strictEqual(session().permissionMode, 'plan');
+console.log('✓ Reject stops the query and stays in plan mode');
+
+({ reply, decision } = await ask('ExitPlanMode', { plan }, 'approve'));
+assert.match(reply, /_Plan approved — Claude is starting on it\._/);
+assert.strictEqual(decision.behavior, 'allow');
+assert.deepStrictEqual(decision.updatedPermissions, [{ type: 'setMode', mode: 'default', destination: 'session' }]);
+assert.strictEqual(session().permissionMode, 'default');
+console.log('✓ Approve plan restores the mode from before plan mode');
+
+// Entered from acceptEdits, a plan goes back to acceptEdits
+await router.handle(admin, '/mode acceptEdits');
+await router.handle(admin, '/mode plan');
+({ decision } = await ask('ExitPlanMode', { plan }, 'approve'));
+assert.strictEqual(decision.updatedPermissions[0].mode, 'acceptEdits');
+assert.strictEqual(session().permissionMode, 'acceptEdits');
+
+// --- a long plan goes out ahead of the buttons ---
+await router.handle(admin, '/mode plan');
+({ prompt } = await ask('ExitPlanMode', { plan: 'Step. '.repeat(400) }, 'approve'));
+const planIndex = sent.findIndex(m => m.type === 'text' && /Claude's plan:/.test(m.body));
+assert.ok(planIndex !== -1 && planIndex < sent.indexOf(prompt), 'plan sent before the buttons');
+assert.ok(prompt.body.length <= 1024);
+assert.match(prompt.body, /Claude has a plan \(above\)/);
+console.log('✓ Long plans are sent ahead of the buttons');
+
+// --- Keep planning only answers plans ---
+assert.match(router.handle(admin, null, tap(prompt, 'plankeep')), /No plan waiting for approval in alpha\./);
+
+// --- bypass: admins only, after a confirmation tap ---
+assert.match(await router.handle(member, '/mode bypass'), /_Not allowed — bypass needs an admin; your role is member\._/);
+sent.length = 0;
+assert.strictEqual(await router.handle(admin, '/mode bypass'), null);
+const confirm = sent.find(m => m.type === 'buttons');
+assert.match(confirm.body, /\*\[CONFIRM\]\* Switch to \*bypass\*\?/);
+const [ok, no] = confirm.buttons.map(b => b.id);
+assert.match(router.handle(member, null, ok), /not allowed/i);
+assert.match(router.handle(admin, null, no), /_Cancelled — still in acceptEdits mode\._/);
+assert.strictEqual(session().permissionMode, 'acceptEdits');
+await router.handle(admin, '/mode bypass');
+assert.match(await router.handle(admin, '/mode yes'), /Mode: \*bypass\* — everything runs without asking\./);
+({ decision } = await ask('Bash', { command: 'rm -rf build' }));
+assert.strictEqual(decision.behavior, 'allow');
+assert.strictEqual(sdk.calls.at(-1).options.permissionMode, 'bypassPermissions');
+console.log('✓ bypass needs an admin confirmation');
+
+// --- a switch mid-query waits for the next query ---
+await router.handle(admin, '/mode default');
+sdk.script(ALPHA, [{ canUseTool: ['Bash', { command: 'ls' }] }, { canUseTool: ['Bash', { command: 'rm -rf build' }] }, result()]);
+sent.length = 0;
+const actionsNeeded = () => sent.filter(m => /ACTION NEEDED/.test(m.body));
+const running = session().send('go');
+while (actionsNeeded().length < 1) await sleep(5);
+await router.handle(admin, '/mode bypass');
+assert.match(await router.handle(admin, '/mode yes'), /From the next message \(the current one keeps its mode\)\./);
+router.handle(admin, null, tap(actionsNeeded()[0], 'approve'));
+while (actionsNeeded().length < 2) await sleep(5);
+const [, second] = actionsNeeded();
+assert.match(second.body, /_\(mode: default\)_/, 'header shows the mode the query runs in');
+assert.match(second.body, /rm -rf build/, 'later Bash call still asks');
+router.handle(admin, null, tap(second, 'deny'));
+await running;
+assert.strictEqual(sdk.decisions.at(-1).decision.behavior, 'deny');
+({ decision } = await ask('Bash', { command: 'rm -rf build' }));
+assert.strictEqual(decision.behavior, 'allow');
+console.log('✓ a /mode switch mid-query applies from the next query');
+
+// --- survives /restart, shown in /status ---
+router.handle(admin, '/restart');
+assert.strictEqual(session().permissionMode, 'bypassPermissions');
+assert.match(router.handle(admin, '/status'), /Permission: bypass/);
+console.log('✓ mode survives /restart and shows in /status');
+
+console.log('\nAll permission mode tests passed!');
+process.exit(0);
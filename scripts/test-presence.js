@@ -0,0 +1,92 @@
+// Test script for presence — read receipts and the typing indicator
+//
+// Usage: node scripts/test-presence.js
+
+import assert from 'assert';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+// wa-client persists windows under ./data — keep this test's state out of the repo
+process.chdir(mkdtempSync(join(tmpdir(), 'wa-claude-presence-')));
+const { noteInbound, showTyping } = await import('../src/wa-client.js');
+
+const to = '15551234567';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log('Testing presence...\n');
+
+// --- wa-client ---
+const posts = [];
+globalThis.fetch = async (_url, { body }) => {
+  posts.push(JSON.parse(body));
+  return { ok: true, status: 200, json: async () => ({ success: true }) };
+};
+
+await showTyping(to);
+assert.strictEqual(posts.length, 0, 'no typing indicator before any inbound message');
+
+noteInbound(to, null, 'wamid.in-1');
+await sleep(10);
+assert.deepStrictEqual(posts, [{ messaging_product: 'whatsapp', status: 'read', message_id: 'wamid.in-1' }]);
+console.log('✓ Inbound messages marked read');
+
+await showTyping(to);
+assert.deepStrictEqual(posts[1], {
+  messaging_product: 'whatsapp',
+  status: 'read',
+  message_id: 'wamid.in-1',
+  typing_indicator: { type: 'text' },
+});
+console.log('✓ Typing indicator attached to the latest inbound message');
+
+config.presence.readReceipts = false;
+config.presence.typingIndicator = false;
+posts.length = 0;
+noteInbound(to, null, 'wamid.in-2');
+await showTyping(to);
+assert.strictEqual(posts.length, 0, 'both can be switched off');
+config.presence.readReceipts = true;
+config.presence.typingIndicator = true;
+
+globalThis.fetch = async () => { throw new Error('offline'); };
+await showTyping(to);
+console.log('✓ Configurable and best-effort');
+
+// --- SessionManager refreshes the indicator while the session is busy ---
+config.presence.typingRefreshMs = 20;
+const typingFor = [];
+const { transport, manager } = await createSessionFixture({ name: 'presence', projects: ['alpha'] });
+transport.showTyping = async (number) => typingFor.push(number);
+manager.open(to, 'alpha');
+const { session } = manager.sessions.get('alpha');
+
+session.emit('busy');
+await sleep(70);
+const whileBusy = typingFor.length;
+assert.ok(whileBusy >= 3, `refreshed while busy (${whileBusy} times)`);
+assert.ok(typingFor.every(n => n === to), 'shown to the user being answered');
+
+session._pendingApproval = { id: 1 };
+await sleep(50);
+assert.strictEqual(typingFor.length, whileBusy, 'paused while waiting on an approval');
+session._pendingApproval = null;
+await sleep(30);
+assert.ok(typingFor.length > whileBusy, 'resumes after the approval');
+console.log('✓ Refreshed while busy, paused during approvals');
+
+session.emit('idle');
+const atIdle = typingFor.length;
+await sleep(50);
+assert.strictEqual(typingFor.length, atIdle, 'stops when the query ends');
+
+session.emit('busy');
+manager.kill('alpha');
+const atKill = typingFor.length;
+await sleep(50);
+assert.strictEqual(typingFor.length, atKill, 'stops when the session is killed');
+console.log('✓ Stops when idle or killed');
+
+console.log('\n✅ Presence test complete');
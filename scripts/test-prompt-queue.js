@@ -0,0 +1,96 @@
+// Test script for the per-session prompt queue — queue while busy, run in order, /queue
+//
+// Usage: node scripts/test-prompt-queue.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { ScriptedSdk, text, result } from './harness/scripted-query.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing prompt queue...\n');
+
+const USER = '15551234567';
+config.claude.streamBufferMs = 10;
+const sdk = new ScriptedSdk();
+const { transport, manager, router, dirs } = await createSessionFixture({
+  name: 'queue', users: { [USER]: 'admin' }, projects: ['alpha'], query: sdk.query,
+});
+const ALPHA = dirs.alpha;
+const user = { number: USER, role: 'admin' };
+const waitIdle = async () => {
+  const { session } = manager.sessions.get('alpha');
+  for (let i = 0; i < 200 && (session.isActive || manager.sessions.get('alpha').queue.length); i++) {
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+manager.open(USER, 'alpha');
+const entry = manager.sessions.get('alpha');
+
+// First prompt hangs until cancelled; the rest answer right away
+sdk.script(ALPHA, [{ hang: true }]);
+for (const answer of ['did B', 'did C', 'did A']) sdk.script(ALPHA, [text(answer), result()]);
+
+assert.strictEqual(router.handle(user, 'long task'), null);
+await new Promise(r => setTimeout(r, 10));
+assert.ok(entry.session.isActive);
+
+// --- Prompts sent while busy are acknowledged with their position ---
+for (const prompt of ['task A', 'task B', 'task C', 'task D']) {
+  assert.strictEqual(router.handle(user, prompt), null);
+}
+assert.match(transport.bodies('text').at(-1), /📂 \*alpha\* \| _Queued as #4 — runs when the current task finishes\. \/queue to manage\._/);
+assert.match(router.handle(user, '/list'), /\*alpha\* — working, brief, sonnet, 4 queued/);
+console.log('✓ Prompts queued with their position; /list shows the queue length');
+
+// --- View, reorder, drop ---
+assert.strictEqual(router.handle(user, '/queue'), [
+  '📂 *alpha* | *Queue* (4):',
+  '📂 *alpha* | 1. "task A"',
+  '📂 *alpha* | 2. "task B"',
+  '📂 *alpha* | 3. "task C"',
+  '📂 *alpha* | 4. "task D"',
+].join('\n'));
+
+assert.match(router.handle(user, '/queue move 1 3'), /1\. "task B"\n.*2\. "task C"\n.*3\. "task A"/);
+assert.match(router.handle(user, '/queue drop 4'), /_Dropped #4: "task D"_/);
+assert.match(router.handle(user, '/queue drop 9'), /No queued prompt #9 for alpha \(3 waiting\)/);
+assert.match(router.handle(user, '/queue move 0 2'), /Positions must be between 1 and 3/);
+assert.match(router.handle(user, '/queue drop'), /Usage: \/queue drop <n>/);
+assert.match(router.handle(user, '/queue shuffle'), /Unknown action "shuffle"/);
+console.log('✓ /queue lists, moves and drops');
+
+// --- Queue drains in order once the running query ends ---
+transport.clear();
+await manager.cancel(USER);
+await waitIdle();
+assert.deepStrictEqual(sdk.calls.slice(1).map(c => c.prompt), ['task B', 'task C', 'task A']);
+const flow = transport.bodies('text').filter(m => /Working on queued|did /.test(m));
+assert.deepStrictEqual(flow, [
+  '📂 *alpha* | _Working on queued message: "task B"..._',
+  '📂 *alpha* | did B',
+  '📂 *alpha* | _Working on queued message: "task C"..._',
+  '📂 *alpha* | did C',
+  '📂 *alpha* | _Working on queued message: "task A"..._',
+  '📂 *alpha* | did A',
+]);
+assert.match(router.handle(user, '/queue'), /_Queue is empty\._/);
+console.log('✓ Queued prompts run in order after the current one');
+
+// --- Clear, full queue, kill ---
+sdk.script(ALPHA, [{ hang: true }]);
+router.handle(user, 'another long task');
+await new Promise(r => setTimeout(r, 10));
+config.claude.maxQueuedPrompts = 2;
+router.handle(user, 'x');
+router.handle(user, 'y');
+assert.match(router.handle(user, 'z'), /alpha's queue is full \(2 waiting\)/);
+assert.match(router.handle(user, '/queue clear'), /_Cleared 2 queued prompts\._/);
+router.handle(user, 'x');
+manager.kill('alpha');
+await new Promise(r => setTimeout(r, 20));
+assert.strictEqual(sdk.calls.at(-1).prompt, 'another long task', 'nothing runs after kill');
+assert.strictEqual(router.handle(user, '/queue'), 'No active session.');
+console.log('✓ /queue clear, queue limit, kill drops the queue');
+
+console.log('\nAll prompt queue tests passed.');
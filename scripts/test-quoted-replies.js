@@ -0,0 +1,55 @@
+// Test script for quoted replies — swipe-replies route to the session that produced the message
+//
+// Usage: node scripts/test-quoted-replies.js
+
+import assert from 'assert';
+import { collectMessages } from '../src/webhook.js';
+import { sendMessage, getOrigin } from '../src/wa-client.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing quoted-reply routing...\n');
+
+// --- wa-client remembers the origin of each outbound message id ---
+let seq = 0;
+globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => ({ messages: [{ id: `wamid.out-${++seq}` }] }) });
+
+await sendMessage('15551234567', '📂 *alpha* | done', { project: 'alpha', sessionId: 'sess-a' });
+await sendMessage('15551234567', 'system reply');
+assert.deepStrictEqual(getOrigin('wamid.out-1'), { project: 'alpha', sessionId: 'sess-a' });
+assert.strictEqual(getOrigin('wamid.out-2'), null, 'system messages have no origin');
+assert.strictEqual(getOrigin('wamid.unknown'), null);
+console.log('✓ Outbound message ids mapped to their project/session');
+
+// --- Webhook message carries context.id through ---
+const [{ message }] = collectMessages({
+  entry: [{ changes: [{ value: { messages: [{ from: '1', id: 'wamid.in', timestamp: '1', type: 'text', text: { body: 'hi' }, context: { from: '1', id: 'wamid.out-1' } }] } }] }],
+});
+assert.strictEqual(message.context.id, 'wamid.out-1');
+
+// --- Router sends quoted replies to the originating session ---
+const { sent, manager, router } = await createSessionFixture({ name: 'quoted', projects: ['alpha', 'beta'] });
+const user = { number: '15551234567', role: 'admin' };
+
+manager.open(user.number, 'alpha');
+manager.open(user.number, 'beta');
+const prompts = { alpha: [], beta: [] };
+for (const name of ['alpha', 'beta']) {
+  manager.sessions.get(name).session.send = async (prompt) => { prompts[name].push(prompt); };
+}
+
+router.handle(user, 'follow-up for alpha', null, 'alpha');
+assert.deepStrictEqual(prompts.alpha, ['follow-up for alpha']);
+assert.deepStrictEqual(prompts.beta, []);
+assert.strictEqual(manager.getActiveProject(user.number), 'beta', 'active project unchanged');
+assert.strictEqual(sent.at(-1).origin.project, 'alpha', 'ack tagged with originating project');
+console.log('✓ Quoted reply routed to originating session without switching');
+
+router.handle(user, 'normal message');
+assert.deepStrictEqual(prompts.beta, ['normal message']);
+console.log('✓ Unquoted messages still go to the active session');
+
+manager.kill('alpha');
+assert.match(router.handle(user, 'too late', null, 'alpha'), /no open session/);
+console.log('✓ Quoted reply to a killed session explained');
+
+console.log('\n✅ Quoted reply test complete');
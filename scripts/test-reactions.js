@@ -0,0 +1,62 @@
+// Test script for reaction gestures — 👍/👎 on approval prompts, ⏹ to cancel
+//
+// Usage: node scripts/test-reactions.js
+
+import assert from 'assert';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing reaction gestures...\n');
+
+const { sent, manager, router } = await createSessionFixture({ name: 'reactions', projects: ['alpha', 'beta'] });
+const prompts = () => sent.filter(m => m.type === 'buttons');
+const user = { number: '15551234567', role: 'admin' };
+
+manager.open(user.number, 'alpha');
+manager.open(user.number, 'beta'); // beta active — reactions must still reach alpha
+const alpha = manager.sessions.get('alpha').session;
+
+// First approval request → approval message origin carries its approvalId
+const first = alpha._handleToolApproval('Bash', { command: 'npm run migrate' });
+const firstOrigin = prompts()[0].origin;
+assert.strictEqual(firstOrigin.project, 'alpha');
+assert.strictEqual(typeof firstOrigin.approvalId, 'number');
+
+assert.match(router.handleReaction(user, '👍🏽', firstOrigin), /Approved/);
+assert.strictEqual((await first).behavior, 'allow');
+assert.strictEqual(manager.getActiveProject(user.number), 'beta');
+console.log('✓ 👍 (any skin tone) approves the reacted-to prompt in its own project');
+
+// Second request — reacting to the OLD prompt must not approve the new one
+const second = alpha._handleToolApproval('Bash', { command: 'git push --force' });
+const secondOrigin = prompts()[1].origin;
+assert.match(router.handleReaction(user, '👍', firstOrigin), /no longer pending/);
+assert.match(router.handleReaction(user, '👎', secondOrigin), /Denied/);
+assert.strictEqual((await second).behavior, 'deny');
+console.log('✓ Stale approval prompts ignored; 👎 denies');
+
+// Buttons carry the approvalId too — an old Approve button can't answer a newer request
+const third = alpha._handleToolApproval('Bash', { command: 'rm -rf dist' });
+const [oldApprove] = prompts()[0].buttons.map(b => b.id);
+const [newApprove, newDeny] = prompts()[2].buttons.map(b => b.id);
+assert.strictEqual(oldApprove, `approve_${firstOrigin.approvalId}_alpha`);
+assert.match(router.handle(user, null, oldApprove), /no longer pending/);
+assert.match(router.handle(user, null, 'approve_alpha'), /out of date/);
+assert.ok(alpha.hasPendingApproval, 'stale buttons left the new request pending');
+assert.match(router.handle(user, null, newDeny), /Denied/);
+assert.strictEqual((await third).behavior, 'deny');
+assert.match(router.handle(user, null, newApprove), /no longer pending/);
+console.log('✓ Stale approval buttons ignored');
+
+// Non-gesture reactions and ordinary messages are left alone
+assert.strictEqual(router.handleReaction(user, '😂', secondOrigin), null);
+assert.strictEqual(router.handleReaction(user, '👍', { project: 'alpha', sessionId: null }), null);
+assert.strictEqual(router.handleReaction(user, '👍', null), null, 'a 👍 on a /status reply is just a 👍');
+assert.strictEqual(router.handleReaction(user, '👎', null), null);
+assert.match(router.handleReaction(user, '⏹️', null), /only works on messages from a project session/);
+console.log('✓ Non-gesture reactions ignored');
+
+// ⏹ cancels the session that produced the message
+assert.match(await router.handleReaction(user, '⏹️', { project: 'alpha', sessionId: null }), /alpha is idle/);
+console.log('✓ ⏹ routes cancel to the originating session');
+
+console.log('\n✅ Reaction test complete');
@@ -0,0 +1,132 @@
+// Test script for the outbound send queue — ordering, throttling, retry and backoff
+//
+// Usage: node scripts/test-send-queue.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { SendQueue, sleep } from '../src/send-queue.js';
+import { sendMessage, sendButtons, getQueueDepth, deliveries } from '../src/wa-client.js';
+
+const to = '15551234567';
+
+console.log('Testing SendQueue...\n');
+
+// --- Queue unit checks ---
+const queue = new SendQueue({ minIntervalMs: 50 });
+const ran = [];
+const slow = (label, ms) => async () => { await sleep(ms); ran.push(label); return label; };
+
+const results = Promise.all([
+  queue.enqueue('a', slow('a1', 30)),
+  queue.enqueue('a', slow('a2', 0)),
+  queue.enqueue('b', slow('b1', 0)),
+]);
+assert.strictEqual(queue.depth('a'), 2);
+assert.strictEqual(queue.depth(), 3);
+assert.deepStrictEqual(await results, ['a1', 'a2', 'b1']);
+assert.ok(ran.indexOf('a1') < ran.indexOf('a2'), 'same recipient runs in order');
+assert.ok(ran.indexOf('b1') < ran.indexOf('a2'), 'other recipients are not held up');
+assert.strictEqual(queue.depth(), 0);
+console.log('✓ FIFO per recipient, independent across recipients');
+
+const times = [];
+await Promise.all([1, 2, 3].map(() => queue.enqueue('c', async () => times.push(Date.now()))));
+assert.ok(times[1] - times[0] >= 45 && times[2] - times[1] >= 45, 'sends spaced by minIntervalMs');
+console.log('✓ Consecutive sends throttled');
+
+await assert.rejects(queue.enqueue('d', async () => { throw new Error('boom'); }), /boom/);
+assert.strictEqual(await queue.enqueue('d', async () => 'next'), 'next');
+console.log('✓ A failed task rejects without blocking the queue');
+
+// --- wa-client wiring, with a fake Graph API ---
+config.outbound.minIntervalMs = 0;
+config.outbound.baseBackoffMs = 20;
+config.outbound.maxRetries = 3;
+
+const posts = [];
+const responses = [];   // scripted responses, consumed in order; default is 200
+let seq = 0;
+globalThis.fetch = async (_url, { body }) => {
+  posts.push(JSON.parse(body));
+  const { status = 200, retryAfter = null, code = 1, delay = 0 } = responses.shift() || {};
+  if (delay) await sleep(delay);
+  return {
+    ok: status < 400,
+    status,
+    headers: { get: (name) => (name === 'retry-after' ? retryAfter : null) },
+    json: async () => (status < 400 ? { messages: [{ id: `wamid.q-${++seq}` }] } : { error: { code } }),
+  };
+};
+
+// Fire-and-forget sends (as SessionManager does) still arrive in call order,
+// even when the first one is slow
+responses.push({ delay: 40 });
+const pending = [
+  sendMessage(to, '_Working on it..._'),
+  sendMessage(to, '🔧 Running: ls'),
+  sendButtons(to, '[ACTION NEEDED]', [{ id: 'approve_x', title: 'Approve' }]),
+];
+assert.strictEqual(getQueueDepth(to), 3);
+await Promise.all(pending);
+assert.deepStrictEqual(
+  posts.map(p => p.text?.body || p.interactive?.body.text),
+  ['_Working on it..._', '🔧 Running: ls', '[ACTION NEEDED]'],
+);
+assert.strictEqual(getQueueDepth(), 0);
+console.log('✓ Unawaited sends delivered in order');
+
+// Chunks of one long answer stay together
+posts.length = 0;
+config.output.maxMessageLength = 20;
+responses.push({ delay: 20 });
+await Promise.all([
+  sendMessage(to, 'line one of answer\nline two of answer'),
+  sendMessage(to, 'next message'),
+]);
+assert.deepStrictEqual(posts.map(p => p.text.body), ['line one of answer', 'line two of answer', 'next message']);
+config.output.maxMessageLength = 4000;
+console.log('✓ Message chunks are not interleaved');
+
+// 429 with Retry-After → waits the given time, then succeeds
+posts.length = 0;
+responses.push({ status: 429, retryAfter: '0.1' });
+let start = Date.now();
+assert.strictEqual(await sendMessage(to, 'rate limited').then(() => posts.length), 2);
+assert.ok(Date.now() - start >= 95, 'Retry-After honored');
+console.log('✓ 429 retried after Retry-After');
+
+// 5xx and Graph rate-limit codes → exponential backoff (20ms, 40ms)
+posts.length = 0;
+responses.push({ status: 503 }, { status: 400, code: 131056 });
+start = Date.now();
+await sendMessage(to, 'flaky');
+assert.strictEqual(posts.length, 3);
+assert.ok(Date.now() - start >= 55, 'backoff grows between attempts');
+console.log('✓ Transient errors retried with backoff');
+
+// Network errors are retried too
+posts.length = 0;
+let failNetwork = true;
+const fakeFetch = globalThis.fetch;
+globalThis.fetch = async (...args) => {
+  if (failNetwork) { failNetwork = false; throw new Error('ECONNRESET'); }
+  return fakeFetch(...args);
+};
+await sendMessage(to, 'network blip');
+assert.strictEqual(posts.length, 1);
+globalThis.fetch = fakeFetch;
+console.log('✓ Network errors retried');
+
+// Permanent errors fail immediately; exhausted retries are recorded as missed
+posts.length = 0;
+responses.push({ status: 400, code: 100 });
+await assert.rejects(sendMessage(to, 'bad payload'), /400/);
+assert.strictEqual(posts.length, 1, 'no retry for a permanent error');
+
+responses.push(...Array(config.outbound.maxRetries + 1).fill({ status: 500 }));
+await assert.rejects(sendMessage(to, 'never made it'), /500/);
+assert.strictEqual(posts.length, 1 + config.outbound.maxRetries + 1);
+assert.deepStrictEqual(deliveries.getMissed(to).map(e => e.payload.text.body), ['bad payload', 'never made it']);
+console.log('✓ Permanent and exhausted failures recorded once');
+
+console.log('\n✅ Send queue test complete');
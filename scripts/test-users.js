@@ -0,0 +1,79 @@
+// Test script for multi-user support — roles, per-user state, approval routing
+//
+// Usage: node scripts/test-users.js
+
+import assert from 'assert';
+import config from '../src/config.js';
+import { getUser, can, usersWithPermission } from '../src/users.js';
+import { createSessionFixture } from './harness/session-fixture.js';
+
+console.log('Testing multi-user support...\n');
+
+const ADMIN = '15550000001';
+const MEMBER = '15550000002';
+const VIEWER = '15550000003';
+
+// --- Allowlist + roles ---
+config.users = {};
+config.allowedNumber = '';
+assert.deepStrictEqual(getUser('anyone'), { number: 'anyone', role: 'admin' }, 'unrestricted when nothing configured');
+
+config.allowedNumber = ADMIN;
+assert.deepStrictEqual(getUser(ADMIN), { number: ADMIN, role: 'admin' }, 'legacy allowedNumber is admin');
+assert.strictEqual(getUser(MEMBER), null);
+
+config.users = { [ADMIN]: 'admin', [MEMBER]: 'member', [VIEWER]: 'viewer' };
+assert.strictEqual(getUser('15559999999'), null, 'unknown sender rejected');
+assert.ok(can(getUser(ADMIN), 'approve'));
+assert.ok(can(getUser(MEMBER), 'chat') && !can(getUser(MEMBER), 'approve'));
+assert.ok(can(getUser(VIEWER), 'read') && !can(getUser(VIEWER), 'chat'));
+assert.deepStrictEqual(usersWithPermission('approve'), [ADMIN]);
+console.log('✓ Allowlist and role permissions');
+
+// --- Per-user state ---
+const { sent, manager, router } = await createSessionFixture({ name: 'users', projects: ['alpha', 'beta'] });
+const texts = () => sent.filter(m => m.type === 'text');
+const approvals = () => sent.filter(m => m.type === 'buttons');
+const admin = getUser(ADMIN);
+const member = getUser(MEMBER);
+const viewer = getUser(VIEWER);
+
+// Project list selections (list_reply ids are open_<project>)
+router.handle(admin, null, 'open_alpha');
+router.handle(member, null, 'open_beta');
+assert.strictEqual(manager.getActiveProject(ADMIN), 'alpha');
+assert.strictEqual(manager.getActiveProject(MEMBER), 'beta');
+console.log('✓ Each user has their own active project');
+
+const prompts = [];
+manager.sessions.get('beta').session.send = async (prompt) => { prompts.push(prompt); };
+router.handle(member, 'refactor the parser');
+assert.deepStrictEqual(prompts, ['refactor the parser']);
+assert.strictEqual(texts().at(-1).to, MEMBER, 'ack goes to the member, not the admin');
+
+manager.sessions.get('beta').session.emit('text-chunk', 'Here is the plan.');
+assert.strictEqual(texts().at(-1).to, MEMBER, 'session output goes to whoever prompted it');
+console.log('✓ Replies go to the user who sent the prompt');
+
+// --- Viewer is read-only ---
+assert.match(router.handle(viewer, 'delete everything'), /Not allowed/);
+assert.match(router.handle(viewer, '/open alpha'), /Not allowed/);
+assert.match(router.handle(viewer, '/status'), /wa-claude status/);
+assert.match(router.handle(viewer, '/cost'), /Cost Report/);
+console.log('✓ Viewer limited to status/cost/list/help');
+
+// --- Approvals go to (and only come from) admins ---
+const beta = manager.sessions.get('beta').session;
+const pending = beta._handleToolApproval('Bash', { command: 'rm -rf build' });
+assert.deepStrictEqual(approvals().map(b => b.to), [ADMIN], 'member\'s approval prompt sent to the admin');
+assert.match(texts().at(-1).body, /Waiting for an admin/);
+assert.strictEqual(texts().at(-1).to, MEMBER);
+
+assert.match(router.handle(member, '/yes', null, 'beta'), /Not allowed/);
+assert.match(router.handle(member, null, approvals()[0].buttons[0].id), /Not allowed/);
+assert.match(router.handleReaction(member, '👍', approvals()[0].origin), /Not allowed/);
+assert.match(router.handle(admin, null, approvals()[0].buttons[0].id), /Approved/);
+assert.strictEqual((await pending).behavior, 'allow');
+console.log('✓ Approvals routed to admins; members cannot approve');
+
+console.log('\n✅ Multi-user test complete');
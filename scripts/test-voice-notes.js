@@ -0,0 +1,59 @@
+// Test script for voice note input — webhook parsing, media download, stub transcription
+//
+// Usage: node scripts/test-voice-notes.js
+
+import assert from 'assert';
+import { collectMessages } from '../src/webhook.js';
+import { downloadMedia } from '../src/wa-client.js';
+import { createTranscriber, StubTranscriber, WhisperCppTranscriber } from '../src/transcriber.js';
+
+console.log('Testing voice note input...\n');
+
+// --- Webhook payload carries the audio media id through ---
+const body = {
+  entry: [{
+    changes: [{
+      value: {
+        metadata: {},
+        messages: [{
+          from: '15551234567',
+          id: 'wamid.VOICE_1',
+          timestamp: '1760000000',
+          type: 'audio',
+          audio: { id: 'media-123', mime_type: 'audio/ogg; codecs=opus', voice: true },
+        }],
+      },
+    }],
+  }],
+};
+const [{ message }] = collectMessages(body);
+assert.strictEqual(message.audio.id, 'media-123');
+console.log('✓ Audio message collected from webhook payload');
+
+// --- downloadMedia() resolves the id to a URL, then fetches bytes with auth ---
+const requests = [];
+globalThis.fetch = async (url, options = {}) => {
+  requests.push({ url, auth: options.headers?.Authorization });
+  if (url.endsWith('/media-123')) {
+    return { ok: true, json: async () => ({ url: 'https://lookaside.example/download?id=media-123', mime_type: 'audio/ogg' }) };
+  }
+  return { ok: true, arrayBuffer: async () => new TextEncoder().encode('OggS-fake-audio').buffer };
+};
+
+const { buffer, mimeType } = await downloadMedia('media-123');
+assert.strictEqual(mimeType, 'audio/ogg');
+assert.strictEqual(buffer.toString(), 'OggS-fake-audio');
+assert.strictEqual(requests.length, 2);
+assert.ok(requests.every(r => r.auth?.startsWith('Bearer ')), 'both requests authenticated');
+console.log('✓ Media downloaded through the Graph media endpoint');
+
+// --- Transcriber interface ---
+const stub = createTranscriber({ engine: 'stub', stubText: 'run the migration' });
+assert.ok(stub instanceof StubTranscriber);
+assert.strictEqual(await stub.transcribe(buffer, mimeType), 'run the migration');
+assert.ok(createTranscriber({ engine: 'whisper-cpp' }) instanceof WhisperCppTranscriber);
+assert.throws(() => createTranscriber({ engine: 'nope' }), /Unknown transcription engine/);
+await assert.rejects(new WhisperCppTranscriber({ model: '' }).transcribe(buffer, mimeType), /No whisper model/);
+console.log('✓ Transcriber factory and stub engine');
+
+console.log('\n✅ Voice note test complete');
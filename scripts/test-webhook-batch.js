@@ -0,0 +1,70 @@
+// Test script for webhook batching — every message in a POST is dispatched in order
+//
+// Usage: node scripts/test-webhook-batch.js
+
+import express from 'express';
+import assert from 'assert';
+import { createHmac } from 'crypto';
+import { readFileSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import webhook from '../src/webhook.js';
+import { MessageDedupe } from '../src/message-dedupe.js';
+
+const APP_SECRET = 'test-app-secret';
+
+// Re-stamp fixture timestamps relative to now, keeping their relative order
+const base = Math.floor(Date.now() / 1000) - 60;
+const fixture = readFileSync(new URL('./fixtures/batch-messages.json', import.meta.url), 'utf-8')
+  .replace(/"17600000(\d\d)"/g, (_m, offset) => `"${base + Number(offset)}"`);
+
+console.log('Testing webhook batch dispatch...\n');
+
+config.whatsapp.appSecret = APP_SECRET;
+config.allowedNumber = '15551234567';
+webhook.dedupe = new MessageDedupe(join(mkdtempSync(join(tmpdir(), 'wa-claude-')), 'seen.json'));
+
+const app = express();
+app.use(webhook);
+
+const received = [];
+let done;
+const allDispatched = new Promise(r => { done = r; });
+
+webhook.onMessage = async (msg) => {
+  received.push(msg);
+  if (received.length === 3) done();
+  // The first message blows up — the rest of the batch must still arrive
+  if (msg.text === 'first quick text') throw new Error('boom');
+};
+
+const server = app.listen(0);
+const url = `http://localhost:${server.address().port}/webhook`;
+
+try {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': 'sha256=' + createHmac('sha256', APP_SECRET).update(fixture).digest('hex'),
+    },
+    body: fixture,
+  });
+  assert.strictEqual(res.status, 200);
+
+  await Promise.race([allDispatched, new Promise((_, reject) => setTimeout(() => reject(new Error('timed out waiting for dispatch')), 2000))]);
+
+  assert.deepStrictEqual(
+    received.map(m => m.text),
+    ['first quick text', 'second quick text', '✓ Approve'],
+    'all entries/changes/messages dispatched in timestamp order'
+  );
+  assert.strictEqual(received[2].buttonReplyId, 'approve_3_wa-claude');
+  console.log('✓ Every message in the batch dispatched in timestamp order');
+  console.log('✓ Error in one message did not drop the rest');
+} finally {
+  server.close();
+}
+
+console.log('\n✅ Webhook batch test complete');
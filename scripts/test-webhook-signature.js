@@ -0,0 +1,103 @@
+// Test script for webhook signature verification — posts signed fixture payloads
+//
+// Usage: node scripts/test-webhook-signature.js
+
+import express from 'express';
+import assert from 'assert';
+import { createHmac } from 'crypto';
+import { readFileSync, mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from '../src/config.js';
+import webhook, { verifySignature } from '../src/webhook.js';
+import { MessageDedupe } from '../src/message-dedupe.js';
+
+const APP_SECRET = 'test-app-secret';
+
+// Stamp the fixture with the current time so the dedupe TTL doesn't drop it
+const fixture = readFileSync(new URL('./fixtures/text-message.json', import.meta.url), 'utf-8')
+  .replace('"1760000000"', `"${Math.floor(Date.now() / 1000)}"`);
+
+function sign(body, secret = APP_SECRET) {
+  return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+}
+
+console.log('Testing webhook signature verification...\n');
+
+// --- verifySignature() unit checks ---
+const raw = Buffer.from(fixture);
+assert.strictEqual(verifySignature(raw, sign(fixture), APP_SECRET), true, 'valid signature accepted');
+assert.strictEqual(verifySignature(raw, sign(fixture, 'wrong'), APP_SECRET), false, 'wrong secret rejected');
+assert.strictEqual(verifySignature(raw, sign(fixture + ' '), APP_SECRET), false, 'tampered body rejected');
+assert.strictEqual(verifySignature(raw, 'sha1=abc', APP_SECRET), false, 'wrong algorithm rejected');
+assert.strictEqual(verifySignature(raw, 'sha256=zz', APP_SECRET), false, 'malformed hex rejected');
+assert.strictEqual(verifySignature(raw, undefined, APP_SECRET), false, 'missing header rejected');
+console.log('✓ verifySignature()');
+
+// --- End-to-end through the Express route ---
+config.whatsapp.appSecret = APP_SECRET;
+config.allowedNumber = '15551234567';
+
+const app = express();
+app.use(webhook);
+
+// Throwaway dedupe store — don't touch data/seen-messages.json
+webhook.dedupe = new MessageDedupe(join(mkdtempSync(join(tmpdir(), 'wa-claude-')), 'seen.json'));
+
+const received = [];
+webhook.onMessage = (msg) => received.push(msg);
+
+const server = app.listen(0);
+const url = `http://localhost:${server.address().port}/webhook`;
+
+async function post(body, signature) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (signature) headers['X-Hub-Signature-256'] = signature;
+  const res = await fetch(url, { method: 'POST', headers, body });
+  // Give the route a tick to dispatch after responding
+  await new Promise(r => setImmediate(r));
+  return res.status;
+}
+
+try {
+  assert.strictEqual(await post(fixture, sign(fixture)), 200);
+  assert.strictEqual(received.length, 1, 'signed message dispatched');
+  assert.strictEqual(received[0].text, 'hello from the fixture');
+  console.log('✓ Signed payload accepted and routed');
+
+  assert.strictEqual(await post(fixture), 401);
+  assert.strictEqual(await post(fixture, sign(fixture, 'attacker')), 401);
+  const forged = fixture.replace('hello from the fixture', 'rm -rf /');
+  assert.strictEqual(await post(forged, sign(fixture)), 401);
+  assert.strictEqual(received.length, 1, 'unsigned/forged payloads not dispatched');
+  console.log('✓ Unsigned, wrongly-signed and tampered payloads rejected');
+
+  // The route parses its own body, at express's default limit — no 30 MB
+  // bodies read before the signature check
+  const huge = JSON.stringify({ object: 'whatsapp_business_account', padding: 'x'.repeat(200 * 1024) });
+  assert.strictEqual(await post(huge, sign(huge)), 413);
+  assert.strictEqual(received.length, 1);
+  console.log('✓ Oversized webhook bodies refused');
+
+  assert.strictEqual(await post(fixture, sign(fixture)), 200);
+  assert.strictEqual(received.length, 1, 'retried delivery not dispatched twice');
+  console.log('✓ Retried delivery of the same message dropped');
+
+  // No secret configured — fail closed, unless verification is explicitly skipped
+  const unsigned = fixture.replace('wamid.', 'wamid.nosecret-');
+  assert.notStrictEqual(unsigned, fixture, 'fixture has a wamid to vary');
+  config.whatsapp.appSecret = '';
+  assert.strictEqual(await post(unsigned), 401);
+  assert.strictEqual(await post(unsigned, sign(unsigned)), 401);
+  assert.strictEqual(received.length, 1, 'nothing dispatched without a secret');
+  console.log('✓ No app secret — every POST rejected');
+
+  config.whatsapp.skipSignatureCheck = true;
+  assert.strictEqual(await post(unsigned), 200);
+  assert.strictEqual(received.length, 2, 'dispatched once verification is skipped');
+  console.log('✓ Explicit opt-out skips verification');
+} finally {
+  server.close();
+}
+
+console.log('\n✅ Webhook signature test complete');
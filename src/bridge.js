@@ -0,0 +1,196 @@
+// Bridge — turns inbound chat messages into commands, prompts and attachments
+//
+// Transport-agnostic: every adapter (WhatsApp, local console/HTTP) feeds
+// messages into handleMessage() and gets output back through its own
+// send functions, via the SessionManager and CommandRouter built here.
+
+import config from './config.js';
+import { SessionManager } from './session-manager.js';
+import { CommandRouter } from './command-router.js';
+import { saveToInbox } from './document-inbox.js';
+import { createTranscriber } from './transcriber.js';
+import { formatBytes, describeNonText } from './message-labels.js';
+import { getUser, can } from './users.js';
+
+// Image types Claude accepts as image content blocks
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+export class Bridge {
+  /**
+   * @param {import('./transport.js').Transport} transport
+   * @param {{transcriber?: object, query?: Function}} options - Voice note transcriber
+   *   (default: config.transcription); query() stand-in for every ClaudeSession
+   */
+  constructor(transport, { transcriber = createTranscriber(), query } = {}) {
+    this.transport = transport;
+    this.transcriber = transcriber;
+    this.sessionManager = new SessionManager(transport, query ? { query } : {});
+    this.commandRouter = new CommandRouter(this.sessionManager, transport);
+  }
+
+  /**
+   * Handle one inbound message.
+   * @param {{from: string, text?: string, buttonReplyId?: string, media?: object,
+   *   reaction?: {messageId: string, emoji: string}, quotedId?: string}} message
+   */
+  async handleMessage({ from, text = null, buttonReplyId = null, media = null, reaction = null, quotedId = null }) {
+    const displayText = text?.slice(0, 80) || describeNonText({ media, reaction, buttonReplyId });
+    console.log(`[bridge] Message from ${from}: ${displayText}`);
+
+    // The allowlist also gives us the user's role
+    const user = getUser(from);
+    if (!user) {
+      console.warn(`[bridge] Ignoring message from unknown user: ${from}`);
+      return;
+    }
+
+    const { transport, commandRouter } = this;
+
+    // Reaction gesture — acts on the session that produced the reacted-to message
+    if (reaction) {
+      const response = await Promise.resolve(commandRouter.handleReaction(user, reaction.emoji, transport.getOrigin(reaction.messageId)));
+      if (response) {
+        await transport.sendText(user.number, response);
+      }
+      return;
+    }
+
+    // Media feeds a Claude prompt — same permission as chatting
+    if (media && !can(user, 'chat')) {
+      await transport.sendText(user.number, commandRouter.denied(user));
+      return;
+    }
+
+    // Voice note — relay the transcript as if it had been typed
+    if (media?.type === 'audio') {
+      text = await this.transcribeVoiceNote(user, media);
+      if (!text) return;
+    }
+
+    // Image — attach to this prompt (caption) or hold for the next text message
+    if (media?.type === 'image') {
+      const count = await this.attachImage(user, media);
+      if (!count) return;
+
+      if (!media.caption) {
+        const reply = commandRouter.isComposing(user.number)
+          ? commandRouter.describeDraft(user)
+          : `_📎 Image received${count > 1 ? ` (${count} pending)` : ''} — it will be sent with your next message._`;
+        await transport.sendText(user.number, reply);
+        return;
+      }
+      text = media.caption;
+    }
+
+    // Document — save into the project; caption (if any) goes out right away
+    if (media?.type === 'document') {
+      if (!await this.saveDocument(user, media)) return;
+      if (!media.caption) {
+        if (commandRouter.isComposing(user.number)) {
+          await transport.sendText(user.number, commandRouter.describeDraft(user));
+        }
+        return;
+      }
+      text = media.caption;
+    }
+
+    // Swipe-reply to one of a session's messages → route to that session
+    const quoted = quotedId ? transport.getOrigin(quotedId) : null;
+    if (quoted) {
+      console.log(`[bridge] Quoted reply → ${quoted.project}`);
+    }
+
+    // Route through command router — may return string, null, or Promise
+    const response = await Promise.resolve(commandRouter.handle(user, text, buttonReplyId, quoted?.project || null));
+
+    // If the router returned a response, send it.
+    // If null, the ClaudeSession events will send output when ready.
+    if (response) {
+      await transport.sendText(user.number, response);
+    }
+  }
+
+  /**
+   * Download and transcribe a voice note, echoing the recognized text back
+   * so the user can see exactly what Claude will receive.
+   * Returns the transcript, or null if there's nothing to relay.
+   */
+  async transcribeVoiceNote(user, media) {
+    try {
+      const { buffer, mimeType } = await this.transport.downloadMedia(media.id);
+      const transcript = await this.transcriber.transcribe(buffer, mimeType || media.mimeType);
+
+      if (!transcript) {
+        await this.transport.sendText(user.number, "_🎙️ Couldn't make out any words in that voice note._");
+        return null;
+      }
+
+      await this.transport.sendText(user.number, `🎙️ _"${transcript}"_`);
+      return transcript;
+    } catch (err) {
+      console.error('[bridge] Voice note transcription failed:', err.message);
+      await this.transport.sendText(user.number, `*[ERROR]* Couldn't transcribe voice note: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Download an inbound image and queue it as an image content block for the
+   * user's next prompt. Returns the number of pending attachments, or 0 if the
+   * image couldn't be attached.
+   */
+  async attachImage(user, media) {
+    try {
+      const { buffer, mimeType } = await this.transport.downloadMedia(media.id);
+      const mediaType = (mimeType || media.mimeType || '').split(';')[0].trim();
+
+      if (!SUPPORTED_IMAGE_TYPES.includes(mediaType)) {
+        await this.transport.sendText(user.number, `*[ERROR]* Unsupported image type: ${mediaType || 'unknown'}`);
+        return 0;
+      }
+
+      return this.sessionManager.attach(user.number, {
+        type: 'image',
+        source: { type: 'base64', media_type: mediaType, data: buffer.toString('base64') },
+      });
+    } catch (err) {
+      console.error('[bridge] Image download failed:', err.message);
+      await this.transport.sendText(user.number, `*[ERROR]* Couldn't download image: ${err.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Download an inbound document into the user's active project's inbox folder
+   * and queue a note so their next prompt tells Claude where it was saved.
+   * Returns false if the document couldn't be saved.
+   */
+  async saveDocument(user, media) {
+    const project = this.sessionManager.getActiveProject(user.number);
+    if (!project) {
+      await this.transport.sendText(user.number, 'No active session — /open a project before sending files.');
+      return false;
+    }
+
+    try {
+      const { buffer } = await this.transport.downloadMedia(media.id, { maxBytes: config.documents.maxBytes });
+      const projectDir = this.sessionManager.resolveProjectDir(project);
+      const filename = media.filename || `document-${Date.now()}`;
+      const { path, relativePath } = saveToInbox(projectDir, filename, buffer);
+
+      console.log(`[bridge] Saved document to ${path} (${buffer.length} bytes)`);
+      this.sessionManager.attach(user.number, {
+        type: 'text',
+        text: `[The user sent a file via chat: "${filename}" (${formatBytes(buffer.length)}), saved at ${relativePath}]`,
+      });
+
+      await this.transport.sendText(user.number, `_📄 Saved to ${relativePath} (${formatBytes(buffer.length)}) — it will be referenced in your next message._`);
+      return true;
+    } catch (err) {
+      console.error('[bridge] Document save failed:', err.message);
+      await this.transport.sendText(user.number, `*[ERROR]* Couldn't save document: ${err.message}`);
+      return false;
+    }
+  }
+}
+
@@ -6,6 +6,7 @@
 // - Manage session ID per project (resume conversations)
 // - Handle tool approval via canUseTool callback
 // - Buffer streaming text for batched WhatsApp delivery
+// - Notice images written or mentioned during a query, for relay back
 // - Emit structured events for the session manager to relay
 
 import { query } from '@anthropic-ai/claude-agent-sdk';
@@ -13,12 +14,41 @@ import { EventEmitter } from 'events';
 import { readFileSync, readdirSync } from 'fs';
 import { join } from 'path';
 import config from './config.js';
+import { isImagePath, extractImagePaths, resolveProjectImage, findRecentImages } from './image-finder.js';
+
+// Tools that change files — auto-approved only in acceptEdits (and bypass) mode
+const EDIT_TOOLS = ['Write', 'Edit', 'NotebookEdit'];
 
 export class ClaudeSession extends EventEmitter {
-  constructor(projectName, projectDir) {
+  /**
+   * @param {string} projectName
+   * @param {string} projectDir - Working directory for Claude
+   * @param {{query?: Function, model?: string, permissionMode?: string}} options - query: stand-in
+   *   for the SDK's query() (tests replay scripted message streams through it); model and
+   *   permissionMode override config.claude.model / config.claude.permissionMode
+   */
+  constructor(projectName, projectDir, {
+    query: queryFn = query,
+    model = config.claude.model,
+    permissionMode = config.claude.permissionMode,
+  } = {}) {
     super();
     this.projectName = projectName;
     this.projectDir = projectDir;
+    this._query = queryFn;
+
+    // Model for this session's queries — switchable between queries (/model).
+    // _queryModel is the one the running query was started with
+    this.model = model;
+    this._queryModel = model;
+
+    // SDK permission mode ('plan', 'default', 'acceptEdits', 'bypassPermissions') —
+    // switchable between queries (/mode). Approving a plan goes back to the mode
+    // the session was in before plan mode (default, if it started in plan)
+    this.permissionMode = permissionMode;
+    this._modeBeforePlan = null;
+    // Mode the running query was started with — a /mode switch mid-query waits for the next one
+    this._queryMode = permissionMode;
 
     // Session ID — persisted across messages for conversation continuity
     this._sessionId = null;
@@ -32,6 +62,10 @@ export class ClaudeSession extends EventEmitter {
     // we hold this promise until the user replies /yes or /no
     this._pendingApproval = null;
 
+    // Monotonic id per approval request — lets a stale approval message
+    // (e.g. a reaction on an old [ACTION NEEDED]) be told apart from the current one
+    this._approvalSeq = 0;
+
     // Text buffer for batched streaming delivery
     this._textBuffer = '';
     this._bufferTimer = null;
@@ -42,6 +76,12 @@ export class ClaudeSession extends EventEmitter {
 
     // Accumulated full response text (for /full command)
     this._fullResponse = '';
+
+    // Images to relay at the end of the query: paths Claude wrote or mentioned,
+    // plus — if a Bash command ran — any image modified since the query started
+    this._queryStartedAt = 0;
+    this._imageCandidates = [];
+    this._ranBash = false;
   }
 
   get sessionId() {
@@ -52,14 +92,44 @@ export class ClaudeSession extends EventEmitter {
     return this._isActive;
   }
 
+  get hasPendingApproval() {
+    return this._pendingApproval !== null;
+  }
+
+  /**
+   * Tool the pending approval is for (e.g. 'Bash', 'ExitPlanMode'), or null.
+   */
+  get pendingApprovalTool() {
+    return this._pendingApproval?.toolName ?? null;
+  }
+
+  /**
+   * Switch the permission mode (SDK name). Entering plan mode remembers the
+   * mode it came from, so approving the plan restores it.
+   */
+  setPermissionMode(mode) {
+    if (mode === 'plan' && this.permissionMode !== 'plan') {
+      this._modeBeforePlan = this.permissionMode;
+    }
+    this.permissionMode = mode;
+  }
+
   /**
    * Send a prompt to Claude. Streams response events back via EventEmitter.
    * Returns when the full response is complete.
+   * @param {string|Array<object>} prompt - Plain text, or Anthropic content blocks
+   *   (e.g. image + text) for a multimodal prompt
    */
   async send(prompt) {
     this._isActive = true;
+    this.emit('busy');
     this._fullResponse = '';
     this._textBuffer = '';
+    this._queryStartedAt = Date.now();
+    this._imageCandidates = [];
+    this._ranBash = false;
+    this._queryModel = this.model;
+    this._queryMode = this.permissionMode;
 
     // Set up abort controller for interrupt support
     this._abortController = new AbortController();
@@ -74,8 +144,8 @@ export class ClaudeSession extends EventEmitter {
 
     // Build query options
     const options = {
-      model: config.claude.model,
-      permissionMode: config.claude.permissionMode,
+      model: this._queryModel,
+      permissionMode: this._queryMode,
       cwd: this.projectDir,
       maxTurns: config.claude.maxTurns,
       abortController: this._abortController,
@@ -102,7 +172,7 @@ export class ClaudeSession extends EventEmitter {
     }
 
     try {
-      const q = query({ prompt, options });
+      const q = this._query({ prompt: this._toSdkPrompt(prompt), options });
       this._currentQuery = q;
 
       // Iterate through streaming messages
@@ -152,6 +222,7 @@ export class ClaudeSession extends EventEmitter {
       // Always clean up — this is the critical path that prevents deadlocks.
       // Even if something above throws unexpectedly, _isActive MUST be reset.
       this._flushBuffer();
+      this._emitImages();
       this._isActive = false;
       this._currentQuery = null;
       if (this._queryTimer) {
@@ -165,6 +236,8 @@ export class ClaudeSession extends EventEmitter {
         this._pendingApproval.resolve(false);
         this._pendingApproval = null;
       }
+
+      this.emit('idle');
     }
   }
 
@@ -185,13 +258,19 @@ export class ClaudeSession extends EventEmitter {
 
   /**
    * Resolve a pending Bash approval from WhatsApp user.
-   * Called when user sends /yes or /no.
+   * Called when user sends /yes or /no (or reacts to the approval message).
+   * @param {boolean|'keep'} approved - 'keep' answers a plan with "keep planning"
+   * @param {number} approvalId - If given, only resolve if it's still the pending approval
    */
-  resolvePendingApproval(approved) {
+  resolvePendingApproval(approved, approvalId = null) {
     if (!this._pendingApproval) {
       return false; // No pending approval
     }
 
+    if (approvalId !== null && this._pendingApproval.id !== approvalId) {
+      return false; // Stale — that approval was already settled
+    }
+
     this._pendingApproval.resolve(approved);
     this._pendingApproval = null;
     return true;
@@ -206,6 +285,25 @@ export class ClaudeSession extends EventEmitter {
 
   // --- Internal methods ---
 
+  /**
+   * Convert a prompt into what query() accepts. Strings pass straight through;
+   * content blocks are wrapped in a single-message SDKUserMessage stream,
+   * which is how the SDK takes non-text input.
+   */
+  _toSdkPrompt(prompt) {
+    if (typeof prompt === 'string') return prompt;
+
+    const sessionId = this._sessionId || '';
+    return (async function* () {
+      yield {
+        type: 'user',
+        message: { role: 'user', content: prompt },
+        parent_tool_use_id: null,
+        session_id: sessionId,
+      };
+    })();
+  }
+
   /**
    * Build the system prompt append with project context.
    * Reads specs/*-status.md and *-design.md so Claude starts informed.
@@ -247,21 +345,32 @@ export class ClaudeSession extends EventEmitter {
     ].join('\n');
   }
 
+  /**
+   * Whether a tool runs without asking, given the running query's permission mode.
+   * Reads always do; edits only in acceptEdits; everything in bypass.
+   */
+  _autoApproves(toolName) {
+    if (this._queryMode === 'bypassPermissions') return true;
+    if (EDIT_TOOLS.includes(toolName) && this._queryMode !== 'acceptEdits') return false;
+    return config.claude.allowedTools.includes(toolName);
+  }
+
   /**
    * Handle tool approval requests from the SDK.
-   * Auto-approve reads and edits. Relay Bash commands to WhatsApp.
+   * Auto-approve reads (and edits, in acceptEdits mode). Relay Bash commands —
+   * and ExitPlanMode, with the plan — to WhatsApp.
    */
   async _handleToolApproval(toolName, input, signal) {
-    // Auto-approve safe tools (reads, edits, search, glob, grep)
-    const autoApproveTools = config.claude.allowedTools;
-    if (autoApproveTools.includes(toolName)) {
+    if (this._autoApproves(toolName)) {
       return { behavior: 'allow', updatedInput: input };
     }
 
     // For Bash and other tools — relay to WhatsApp for user approval
+    const isPlan = toolName === 'ExitPlanMode';
     const commandDesc = toolName === 'Bash'
       ? `\`${input.command}\``
-      : `${toolName}: ${JSON.stringify(input).slice(0, 200)}`;
+      : isPlan ? 'Exit plan mode and start on the plan'
+        : `${toolName}: ${JSON.stringify(input).slice(0, 200)}`;
 
     // Wait for user to reply via WhatsApp — with timeout to prevent deadlock.
     // If user doesn't respond within approvalTimeoutMs, auto-deny.
@@ -270,6 +379,7 @@ export class ClaudeSession extends EventEmitter {
     // Otherwise there's a race condition — the user can respond via WhatsApp
     // before the promise is created, and the response gets lost.
     const timeoutMs = config.claude.approvalTimeoutMs;
+    const approvalId = ++this._approvalSeq;
 
     const approved = await new Promise((resolve, reject) => {
       let settled = false;
@@ -291,6 +401,8 @@ export class ClaudeSession extends EventEmitter {
       }, timeoutMs);
 
       this._pendingApproval = {
+        id: approvalId,
+        toolName,
         resolve: settle,
         reject: (err) => {
           if (settled) return;
@@ -310,14 +422,23 @@ export class ClaudeSession extends EventEmitter {
         }, { once: true });
       }
 
-      // Emit AFTER _pendingApproval is set — user's response can now be caught
+      // Emit AFTER _pendingApproval is set — user's response can now be caught.
+      // Flush first so any text leading up to the request arrives before it.
+      this._flushBuffer();
       this.emit('approval-needed', {
+        approvalId,
         toolName,
         input,
         description: commandDesc,
+        plan: isPlan ? String(input.plan || '') : null,
+        mode: this._queryMode,
       });
     });
 
+    if (isPlan) {
+      return this._planDecision(approved, input);
+    }
+
     if (approved) {
       return { behavior: 'allow', updatedInput: input };
     } else {
@@ -329,6 +450,40 @@ export class ClaudeSession extends EventEmitter {
     }
   }
 
+  /**
+   * Turn the answer to an ExitPlanMode request into a permission result.
+   * Approving leaves plan mode for the mode the session was in before it.
+   * @param {boolean|'keep'} decision
+   */
+  _planDecision(decision, input) {
+    if (decision === 'keep') {
+      return {
+        behavior: 'deny',
+        message: 'The user wants to keep planning. Stay in plan mode and end your turn — they will reply with feedback on the plan.',
+        interrupt: false,
+      };
+    }
+
+    if (!decision) {
+      return {
+        behavior: 'deny',
+        message: 'User rejected this plan via WhatsApp.',
+        interrupt: true,
+      };
+    }
+
+    // Applies to the running query too — the SDK switches it via setMode below
+    this.permissionMode = this._modeBeforePlan || 'default';
+    this._modeBeforePlan = null;
+    this._queryMode = this.permissionMode;
+    console.log(`[claude] ${this.projectName} — plan approved, mode now ${this.permissionMode}`);
+    return {
+      behavior: 'allow',
+      updatedInput: input,
+      updatedPermissions: [{ type: 'setMode', mode: this.permissionMode, destination: 'session' }],
+    };
+  }
+
   /**
    * Process an assistant message — extract text and tool-use blocks.
    */
@@ -352,18 +507,28 @@ export class ClaudeSession extends EventEmitter {
 
         // Accumulate text for full response
         this._fullResponse += block.text;
+        this._imageCandidates.push(...extractImagePaths(block.text));
 
         // Buffer for batched delivery
         this._bufferText(block.text);
 
       } else if (block.type === 'tool_use') {
+        // Text before a tool use is its own chunk — it goes out ahead of the
+        // tool notice, and quiet mode can tell working-out from the answer
+        this._flushBuffer();
+
+        if (block.name === 'Write' && isImagePath(block.input?.file_path)) {
+          this._imageCandidates.push(block.input.file_path);
+        } else if (block.name === 'Bash') {
+          this._ranBash = true;
+        }
+
         // Only emit tool-start for auto-approved tools (reads, edits, etc.).
         // For tools needing manual approval (Bash), the approval-needed event
         // serves as the notification. Showing "Running: ..." for Bash is
         // misleading — it suggests the command already started, causing users
         // to send /yes before the approval promise exists (race condition).
-        const autoApproveTools = config.claude.allowedTools;
-        if (autoApproveTools.includes(block.name)) {
+        if (this._autoApproves(block.name)) {
           const toolDesc = this._describeToolUse(block.name, block.input);
           this.emit('tool-start', {
             toolName: block.name,
@@ -398,6 +563,7 @@ export class ClaudeSession extends EventEmitter {
         result: message.result,
         turns: message.num_turns,
         cost: message.total_cost_usd,
+        model: this._queryModel,
       });
     } else {
       // Error result (max_turns, execution error, etc.)
@@ -438,6 +604,32 @@ export class ClaudeSession extends EventEmitter {
     }
   }
 
+  /**
+   * Emit the images this query produced or mentioned (existing files inside
+   * the project only), capped at config.images.maxPerQuery.
+   */
+  _emitImages() {
+    const paths = [];
+    const add = (path) => {
+      if (path && !paths.includes(path)) paths.push(path);
+    };
+
+    for (const candidate of this._imageCandidates) {
+      add(resolveProjectImage(this.projectDir, candidate));
+    }
+    if (this._ranBash) {
+      findRecentImages(this.projectDir, this._queryStartedAt).forEach(add);
+    }
+
+    this._imageCandidates = [];
+    this._ranBash = false;
+    if (paths.length === 0) return;
+
+    const max = config.images.maxPerQuery;
+    console.log(`[claude] ${this.projectName} — ${paths.length} image(s) to relay`);
+    this.emit('images', { paths: paths.slice(0, max), skipped: Math.max(paths.length - max, 0) });
+  }
+
   /**
    * Create a human-readable description of a tool use.
    */
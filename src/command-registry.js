@@ -0,0 +1,170 @@
+// Command registry — every slash command the bridge handles, declared once
+//
+// Each command declares its name, aliases, arguments, the permission it needs
+// (see src/users.js), a description and its handler. CommandRouter dispatches
+// through the registry, and /help is generated from it, so adding a command
+// is a single register() call.
+
+import { ROLE_PERMISSIONS } from './users.js';
+
+/**
+ * @typedef {object} CommandArg
+ * @property {string} name - Shown in usage (<name> or [name])
+ * @property {boolean} [optional] - May be omitted
+ * @property {string[]} [choices] - Allowed values (matched case-insensitively)
+ *
+ * The last argument takes the rest of the text, spaces included.
+ */
+
+/**
+ * @typedef {object} Command
+ * @property {string} name - e.g. '/open'
+ * @property {string[]} [aliases] - e.g. ['/yes']
+ * @property {CommandArg[]} [args]
+ * @property {'read'|'chat'|'approve'} permission - Needed to run it
+ * @property {string} description - One line, shown in /help
+ * @property {string} [details] - Extra lines for /help <command>
+ * @property {(ctx: {user: object, args: object, text: string, quotedProject: string|null}) => any} handler
+ */
+
+export class CommandRegistry {
+  constructor() {
+    this._commands = [];
+    this._byName = new Map(); // name or alias → command
+  }
+
+  /**
+   * Add a command. Names and aliases must be unique.
+   * @param {Command} command
+   */
+  register(command) {
+    const normalized = {
+      aliases: [],
+      args: [],
+      details: '',
+      ...command,
+      name: normalizeName(command.name),
+    };
+    normalized.aliases = normalized.aliases.map(normalizeName);
+
+    for (const name of [normalized.name, ...normalized.aliases]) {
+      if (this._byName.has(name)) {
+        throw new Error(`Command ${name} is already registered`);
+      }
+    }
+
+    this._commands.push(normalized);
+    for (const name of [normalized.name, ...normalized.aliases]) {
+      this._byName.set(name, normalized);
+    }
+    return normalized;
+  }
+
+  /**
+   * Look up a command by name or alias ('/yes', 'yes', '/YES').
+   * @returns {Command|null}
+   */
+  get(name) {
+    return this._byName.get(normalizeName(name)) || null;
+  }
+
+  /**
+   * All commands, in registration order.
+   */
+  list() {
+    return [...this._commands];
+  }
+
+  /**
+   * Match the text after the command name against its argument schema.
+   * @returns {{args: object, error: string|null}} args keyed by name; error is a usage hint
+   */
+  parseArgs(command, argText) {
+    const args = {};
+    let rest = argText.trim();
+
+    command.args.forEach((arg, i) => {
+      const isLast = i === command.args.length - 1;
+      let value;
+      if (isLast) {
+        value = rest;
+        rest = '';
+      } else {
+        [value = ''] = rest.split(/\s+/, 1);
+        rest = rest.slice(value.length).trim();
+      }
+      args[arg.name] = value;
+    });
+
+    // Text with no argument to take it
+    if (rest) {
+      return { args, error: `${command.name} takes no arguments. Usage: ${usage(command)}` };
+    }
+
+    for (const arg of command.args) {
+      const value = args[arg.name];
+      if (!value) {
+        if (!arg.optional) return { args, error: `Missing ${arg.name}. Usage: ${usage(command)}` };
+        continue;
+      }
+      if (arg.choices) {
+        const choice = arg.choices.find(c => c.toLowerCase() === value.toLowerCase());
+        if (!choice) return { args, error: `Unknown ${arg.name} "${value}". Usage: ${usage(command)}` };
+        args[arg.name] = choice;
+      }
+    }
+
+    return { args, error: null };
+  }
+
+  /**
+   * The /help overview — one line per command the filter lets through.
+   * @param {(command: Command) => boolean} filter - e.g. only what the user may run
+   */
+  formatHelp(filter = () => true) {
+    return this._commands
+      .filter(filter)
+      .map(command => {
+        const aliases = command.aliases.length ? ` (also ${command.aliases.join(', ')})` : '';
+        return `${usage(command)} — ${command.description}${aliases}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * /help <command> — usage, aliases, who can run it and any details.
+   */
+  formatCommandHelp(command) {
+    const roles = Object.entries(ROLE_PERMISSIONS)
+      .filter(([, permissions]) => permissions.includes(command.permission))
+      .map(([role]) => role);
+
+    return [
+      `*${usage(command)}*`,
+      command.description,
+      command.details,
+      '',
+      command.aliases.length ? `Aliases: ${command.aliases.join(', ')}` : null,
+      `Allowed for: ${roles.join(', ')}`,
+    ].filter(line => line !== null && line !== undefined).join('\n').replace(/\n{3,}/g, '\n\n');
+  }
+}
+
+/**
+ * Usage line, e.g. "/cost [today|week|month|all]".
+ */
+export function usage(command) {
+  const args = command.args.map(arg => {
+    const label = arg.choices ? arg.choices.join('|') : arg.name;
+    return arg.optional ? `[${label}]` : `<${label}>`;
+  });
+  return [command.name, ...args].join(' ');
+}
+
+/**
+ * '/Open', 'open' → '/open'.
+ */
+export function normalizeName(name) {
+  const lower = name.trim().toLowerCase();
+  return lower.startsWith('/') ? lower : `/${lower}`;
+}
@@ -1,47 +1,387 @@
 // Command router — parses incoming messages as commands or relays to active Claude session
 // Commands start with / — everything else goes to the active Claude Code session
+// In compose mode (/compose or >>>), messages collect into one draft prompt
+// until /send (or <<<) relays it in one piece
+
+import config from './config.js';
+import { can } from './users.js';
+import { MAX_ROWS, paginate, decodePageToken } from './list-pager.js';
+import { CommandRegistry, normalizeName } from './command-registry.js';
+import { OUTPUT_MODES, PERMISSION_MODES } from './session-manager.js';
+import { GIT_USAGE } from './git-commands.js';
+
+// Compose-mode markers — same as /compose and /send
+const COMPOSE_START = '>>>';
+const COMPOSE_END = '<<<';
 
 export class CommandRouter {
-  constructor(sessionManager, sendList) {
+  /**
+   * @param {import('./session-manager.js').SessionManager} sessionManager
+   * @param {import('./transport.js').Transport} transport - Used for list menus
+   *   and /missed (transport.replayMissed, where the transport tracks delivery)
+   */
+  constructor(sessionManager, transport) {
     this.sessionManager = sessionManager;
-    this.sendList = sendList;
+    this.transport = transport;
+    this.commands = new CommandRegistry();
+    this.registerCommands();
+
+    // Compose mode — user number → { parts: string[] }. Text (and media, held
+    // as the user's pending attachments) collects here until /send.
+    this.drafts = new Map();
+  }
+
+  /**
+   * Declare the bridge's slash commands. Order here is the order in /help.
+   */
+  registerCommands() {
+    const sm = this.sessionManager;
+
+    this.commands.register({
+      name: '/open',
+      args: [{ name: 'prefix', optional: true }],
+      permission: 'chat',
+      description: 'Project picker (or /open <prefix> to filter)',
+      details: 'A prefix matching one project opens it directly.',
+      handler: ({ user, args }) => this.showProjectList(user, args.prefix),
+    });
+    this.commands.register({
+      name: '/kill',
+      args: [{ name: 'project', optional: true }],
+      permission: 'chat',
+      description: 'Show session menu (or /kill <project> for direct)',
+      handler: ({ user, args }) => (args.project ? sm.kill(args.project) : this.showKillList(user)),
+    });
+    this.commands.register({
+      name: '/restart',
+      args: [{ name: 'project', optional: true }],
+      permission: 'chat',
+      description: 'Show session menu (or /restart <project> for direct)',
+      handler: ({ user, args }) => (args.project ? sm.restart(user.number, args.project) : this.showRestartList(user)),
+    });
+    this.commands.register({
+      name: '/list',
+      permission: 'read',
+      description: 'Show all active sessions',
+      handler: ({ user }) => sm.list(user.number),
+    });
+    this.commands.register({
+      name: '/status',
+      permission: 'read',
+      description: 'System health info',
+      handler: ({ user }) => sm.status(user.number),
+    });
+    this.commands.register({
+      name: '/cost',
+      args: [{ name: 'period', optional: true, choices: ['today', 'week', 'month', 'all'] }],
+      permission: 'read',
+      description: 'API usage — today by default',
+      handler: ({ args }) => this.showCostReport(args.period),
+    });
+    for (const [mode, summary] of Object.entries(OUTPUT_MODES)) {
+      this.commands.register({
+        name: `/${mode}`,
+        permission: 'chat',
+        description: `Output mode: ${summary}`,
+        details: 'Applies to the active session (or the quoted one). Shown in /list and /status.',
+        handler: ({ user, quotedProject }) => sm.setOutputMode(user.number, mode, quotedProject),
+      });
+    }
+    this.commands.register({
+      name: '/full',
+      permission: 'chat',
+      description: 'Send last output as a file',
+      details: 'Swipe-reply to a project\'s message to get that project\'s output.',
+      handler: ({ user, quotedProject }) => sm.sendFullOutput(user.number, quotedProject),
+    });
+    this.commands.register({
+      name: '/missed',
+      permission: 'read',
+      description: 'Replay messages that never reached your phone',
+      handler: ({ user }) => this.replayMissedMessages(user),
+    });
+    this.commands.register({
+      name: '/model',
+      args: [{ name: 'model', optional: true }],
+      permission: 'chat',
+      description: `Model for the session (${config.claude.models.join(', ')} or a full id); no argument shows buttons`,
+      details: 'Applies to the active session (or the quoted one) from its next message, and survives /restart. Shown in /list, /status and /cost all.',
+      handler: ({ user, args, quotedProject }) => (args.model
+        ? sm.setModel(user.number, args.model, quotedProject)
+        : sm.showModelPicker(user.number, quotedProject)),
+    });
+    this.commands.register({
+      name: '/mode',
+      args: [{ name: 'mode', optional: true }],
+      permission: 'chat',
+      description: `Permission mode for the session: ${Object.keys(PERMISSION_MODES).join(', ')}; no argument shows them`,
+      details: [
+        'Applies to the active session (or the quoted one) from its next message, and survives /restart.',
+        'In plan mode Claude sends its plan with Approve plan / Keep planning / Reject buttons; approving it leaves plan mode.',
+        'bypass needs an admin and a confirmation tap.',
+      ].join('\n'),
+      handler: ({ user, args, quotedProject }) => sm.setPermissionMode(user.number, args.mode || '', quotedProject),
+    });
+    this.commands.register({
+      name: '/queue',
+      args: [{ name: 'action', optional: true, choices: ['drop', 'move', 'clear'] }, { name: 'positions', optional: true }],
+      permission: 'chat',
+      description: 'Prompts waiting for the session (messages sent while it works are queued)',
+      details: '/queue drop <n> removes one, /queue move <from> <to> reorders, /queue clear empties it. Applies to the active session (or the quoted one).',
+      handler: ({ user, args, quotedProject }) => this.manageQueue(user, args, quotedProject),
+    });
+    this.commands.register({
+      name: '/git',
+      args: [{ name: 'command' }],
+      permission: 'chat',
+      description: 'Git in the session\'s project, no Claude query: status, diff, log, branch, commit, push',
+      details: [
+        GIT_USAGE,
+        'Runs directly in the active session\'s project (or the quoted one), at no cost.',
+        'commit and push ask for confirmation first and need an admin.',
+      ].join('\n'),
+      handler: ({ user, args, quotedProject }) => sm.git(user.number, args.command, quotedProject),
+    });
+    this.commands.register({
+      name: '/compose',
+      permission: 'chat',
+      description: 'Collect the next messages into one prompt (or start a message with >>>)',
+      details: 'Text, voice notes, images and documents all go into the draft. Commands still work; other /commands are added to the draft.',
+      handler: ({ user }) => this.startDraft(user),
+    });
+    this.commands.register({
+      name: '/send',
+      permission: 'chat',
+      description: 'Send the draft as a single prompt (or end a message with <<<)',
+      details: 'Goes to the active session, or the quoted one.',
+      handler: ({ user, quotedProject }) => this.sendDraft(user, '', quotedProject),
+    });
+    this.commands.register({
+      name: '/discard',
+      permission: 'chat',
+      description: 'Throw the draft away',
+      handler: ({ user }) => this.discardDraft(user),
+    });
+    this.commands.register({
+      name: '/approve',
+      aliases: ['/yes'],
+      permission: 'approve',
+      description: 'Approve the pending action',
+      details: 'Same as the ✓ Approve button, or reacting 👍 to the [ACTION NEEDED] message.',
+      handler: ({ user, quotedProject }) => sm.approveAction(user.number, true, quotedProject),
+    });
+    this.commands.register({
+      name: '/deny',
+      aliases: ['/no'],
+      permission: 'approve',
+      description: 'Deny the pending action',
+      details: 'Same as the ✗ Deny button, or reacting 👎 to the [ACTION NEEDED] message.',
+      handler: ({ user, quotedProject }) => sm.approveAction(user.number, false, quotedProject),
+    });
+    this.commands.register({
+      name: '/cancel',
+      permission: 'chat',
+      description: 'Interrupt current Claude query',
+      details: 'Reacting ⏹ to a project\'s message cancels that project.',
+      handler: ({ user, quotedProject }) => sm.cancel(user.number, quotedProject),
+    });
+    this.commands.register({
+      name: '/help',
+      args: [{ name: 'command', optional: true }],
+      permission: 'read',
+      description: 'This message (or /help <command> for details)',
+      handler: ({ user, args }) => this.showHelp(user, args.command),
+    });
   }
 
   /**
    * Handle an incoming message. Returns a response string (or null if no response needed).
+   * @param {{number: string, role: string}} user - Sender (see src/users.js)
    * @param {string} text - Message text from WhatsApp
    * @param {string} buttonReplyId - If this is a button reply, the button ID clicked
+   * @param {string} quotedProject - If this is a swipe-reply, the project whose message was quoted.
+   *   Session-scoped actions target that project without changing activeProject.
    * @returns {string|null|Promise<string|null>} Response to send back, or null if async events handle it
    */
-  handle(text, buttonReplyId = null) {
+  handle(user, text, buttonReplyId = null, quotedProject = null) {
     // Handle button clicks
     if (buttonReplyId) {
-      return this.handleButtonReply(buttonReplyId);
+      return this.handleButtonReply(user, buttonReplyId);
     }
 
     const trimmed = text.trim();
 
+    // Compose markers — ">>> text" starts a draft, "text <<<" sends it
+    // ("<<<" only means send while composing — it's also shell syntax)
+    const composing = this.drafts.has(user.number);
+    if (trimmed.startsWith(COMPOSE_START) || (composing && trimmed.endsWith(COMPOSE_END))) {
+      if (!can(user, 'chat')) return this.denied(user);
+      if (trimmed.startsWith(COMPOSE_START)) {
+        const rest = trimmed.slice(COMPOSE_START.length).trim();
+        if (rest.endsWith(COMPOSE_END)) {
+          // ">>> ... <<<" in one message — nothing to collect
+          this.startDraft(user);
+          return this.sendDraft(user, rest.slice(0, -COMPOSE_END.length).trim(), quotedProject);
+        }
+        return this.startDraft(user, rest);
+      }
+      return this.sendDraft(user, trimmed.slice(0, -COMPOSE_END.length).trim(), quotedProject);
+    }
+
     // Check if it's a command
     if (trimmed.startsWith('/')) {
-      return this.handleCommand(trimmed);
+      return this.handleCommand(user, trimmed, quotedProject);
+    }
+
+    if (!can(user, 'chat')) return this.denied(user);
+
+    // Composing — add to the draft instead of sending
+    if (composing) {
+      return this.addToDraft(user, trimmed);
+    }
+
+    // Not a command — relay to the quoted session, or the active one
+    return this.sessionManager.relay(user.number, trimmed, quotedProject);
+  }
+
+  /**
+   * /queue [drop <n> | move <from> <to> | clear]
+   */
+  manageQueue(user, { action, positions }, quotedProject = null) {
+    const sm = this.sessionManager;
+    const numbers = positions ? positions.split(/\s+/).map(Number) : [];
+
+    switch (action) {
+      case 'drop':
+        if (numbers.length !== 1) return 'Usage: /queue drop <n>';
+        return sm.dropQueued(user.number, numbers[0], quotedProject);
+      case 'move':
+        if (numbers.length !== 2) return 'Usage: /queue move <from> <to>';
+        return sm.moveQueued(user.number, numbers[0], numbers[1], quotedProject);
+      case 'clear':
+        return sm.clearQueue(user.number, quotedProject);
+      default:
+        if (positions) return 'Usage: /queue [drop <n> | move <from> <to> | clear]';
+        return sm.showQueue(user.number, quotedProject);
+    }
+  }
+
+  /**
+   * Whether a user is composing a draft.
+   */
+  isComposing(userId) {
+    return this.drafts.has(userId);
+  }
+
+  /**
+   * Start compose mode, optionally with a first piece of text.
+   * Starting again while composing just shows the draft.
+   */
+  startDraft(user, text = '') {
+    if (!this.drafts.has(user.number)) {
+      this.drafts.set(user.number, { parts: [] });
+      if (!text) {
+        return `_📝 Composing — send your message in as many parts as you like, then /send or ${COMPOSE_END}. /discard to cancel._`;
+      }
     }
+    return text ? this.addToDraft(user, text) : this.describeDraft(user);
+  }
+
+  /**
+   * Append text to the user's draft and show its size.
+   */
+  addToDraft(user, text) {
+    this.drafts.get(user.number).parts.push(text);
+    return this.describeDraft(user);
+  }
 
-    // Not a command — relay to active Claude session
-    return this.sessionManager.relay(trimmed);
+  /**
+   * One-line draft preview — parts, characters and attachments so far.
+   */
+  describeDraft(user) {
+    const draft = this.drafts.get(user.number);
+    if (!draft) return 'Not composing — start with /compose or >>>.';
+
+    const chars = draft.parts.reduce((sum, part) => sum + part.length, 0);
+    const attachments = this.sessionManager.pendingAttachments(user.number);
+    const size = [
+      `${draft.parts.length} part${draft.parts.length === 1 ? '' : 's'}`,
+      `${chars.toLocaleString('en-US')} chars`,
+      ...(attachments ? [`${attachments} attachment${attachments === 1 ? '' : 's'}`] : []),
+    ].join(', ');
+    return `_📝 Draft: ${size} — /send or ${COMPOSE_END} to send, /discard to drop._`;
+  }
+
+  /**
+   * Relay the draft (plus any final text) as one prompt. If the session
+   * refuses it (e.g. still busy), the draft is kept for another /send.
+   */
+  sendDraft(user, finalText = '', quotedProject = null) {
+    const draft = this.drafts.get(user.number);
+    if (!draft) return 'Not composing — start with /compose or >>>.';
+
+    if (finalText) draft.parts.push(finalText);
+    if (draft.parts.length === 0) {
+      return '_📝 The draft has no text yet — add a message before sending._';
+    }
+
+    const response = this.sessionManager.relay(user.number, draft.parts.join('\n\n'), quotedProject);
+    if (response) {
+      return `${response}\n\n_📝 Your draft is kept — /send again when ready._`;
+    }
+
+    this.drafts.delete(user.number);
+    return null;
+  }
+
+  /**
+   * Leave compose mode, dropping the draft and any media collected for it.
+   */
+  discardDraft(user) {
+    const draft = this.drafts.get(user.number);
+    if (!draft) return 'Not composing — nothing to discard.';
+
+    this.drafts.delete(user.number);
+    const attachments = this.sessionManager.clearAttachments(user.number);
+    const media = attachments ? ` and ${attachments} attachment${attachments === 1 ? '' : 's'}` : '';
+    return `_🗑️ Draft discarded (${draft.parts.length} part${draft.parts.length === 1 ? '' : 's'}${media})._`;
   }
 
   /**
    * Handle interactive button/list replies.
    */
-  handleButtonReply(buttonId) {
-    // Approval buttons — scoped to project (approve_<project> / deny_<project>)
-    if (buttonId.startsWith('approve_')) {
-      const project = buttonId.slice(8);
-      return this.sessionManager.approveAction(true, project);
+  handleButtonReply(user, buttonId) {
+    const isApproval = /^(approve|deny|plankeep|gitok|gitno|modeok|modeno)_/.test(buttonId);
+    if (!can(user, isApproval ? 'approve' : 'chat')) return this.denied(user);
+
+    // Approval buttons — scoped to one approval request in one project
+    // (approve_<approvalId>_<project>, deny_…, plankeep_…), so a stale button
+    // far up the chat can't answer whatever is pending now
+    const approval = buttonId.match(/^(approve|deny|plankeep)_(\d+)_(.+)$/);
+    if (approval) {
+      const [, action, approvalId, project] = approval;
+      const decision = action === 'plankeep' ? 'keep' : action === 'approve';
+      return this.sessionManager.approveAction(user.number, decision, project, Number(approvalId));
     }
-    if (buttonId.startsWith('deny_')) {
-      const project = buttonId.slice(5);
-      return this.sessionManager.approveAction(false, project);
+    if (/^(approve|deny|plankeep)_/.test(buttonId)) {
+      return 'That approval button is out of date — use /yes or /no for the current request.';
+    }
+
+    // Git confirmation buttons: gitok_<id> / gitno_<id>
+    if (buttonId.startsWith('gitok_') || buttonId.startsWith('gitno_')) {
+      return this.sessionManager.confirmGit(user.number, buttonId.startsWith('gitok_'), Number(buttonId.slice(6)));
+    }
+
+    // Bypass-mode confirmation buttons: modeok_<id> / modeno_<id>
+    if (buttonId.startsWith('modeok_') || buttonId.startsWith('modeno_')) {
+      return this.sessionManager.confirmMode(user.number, buttonId.startsWith('modeok_'), Number(buttonId.slice(7)));
+    }
+
+    // Model picker: model_<project>:<alias>
+    if (buttonId.startsWith('model_')) {
+      const spec = buttonId.slice(6);
+      const split = spec.lastIndexOf(':');
+      return this.sessionManager.setModel(user.number, spec.slice(split + 1), spec.slice(0, split));
     }
 
     // Kill command: kill_<project>
@@ -53,102 +393,126 @@ export class CommandRouter {
     // Restart command: restart_<project>
     if (buttonId.startsWith('restart_')) {
       const project = buttonId.slice(8);
-      return this.sessionManager.restart(project);
+      return this.sessionManager.restart(user.number, project);
+    }
+
+    // "More…" row of a paged list — rebuild that list at the next page
+    const pageToken = decodePageToken(buttonId);
+    if (pageToken) {
+      return this.showListPage(user, pageToken);
+    }
+
+    // Project selection from the /open list: open_<project>
+    if (buttonId.startsWith('open_')) {
+      return this.sessionManager.open(user.number, buttonId.slice(5));
     }
 
-    // Project selection from list — buttonId is the project name
-    // Check if it's a valid project and open it
-    return this.sessionManager.open(buttonId);
+    // Rows from lists sent before project rows were prefixed — buttonId is the project name
+    return this.sessionManager.open(user.number, buttonId);
+  }
+
+  /**
+   * Handle an emoji reaction on one of our messages (see config.reactions).
+   * @param {{number: string, role: string}} user - Sender
+   * @param {string} emoji - Reaction emoji
+   * @param {{project: string, approvalId?: number}|null} origin - Session that produced the reacted-to message
+   * @returns {string|null|Promise<string>} Response, or null if the reaction isn't a gesture
+   */
+  handleReaction(user, emoji, origin) {
+    const normalized = normalizeEmoji(emoji);
+    const action = Object.entries(config.reactions)
+      .find(([key]) => normalizeEmoji(key) === normalized)?.[1];
+    if (!action) return null; // Just a reaction, not a command
+
+    switch (action) {
+      case 'approve':
+      case 'deny':
+        // Only approval prompts can be approved — a 👍 on anything else (ordinary
+        // output, a /status reply, a prompt we no longer track) is just a 👍
+        if (origin?.approvalId === undefined) return null;
+        if (!can(user, 'approve')) return this.denied(user);
+        return this.sessionManager.approveAction(user.number, action === 'approve', origin.project, origin.approvalId);
+
+      case 'cancel':
+        if (!origin?.project) return `_${emoji} only works on messages from a project session._`;
+        if (!can(user, 'chat')) return this.denied(user);
+        return this.sessionManager.cancel(user.number, origin.project);
+
+      default:
+        console.warn(`[router] Unknown reaction action "${action}" for ${emoji}`);
+        return null;
+    }
   }
 
   /**
    * Parse and execute a slash command.
+   * Registered commands (and aliases) run their handler; any other /command
+   * is passed through to Claude, unless it's in config.commands.reserved.
+   * @param {{number: string, role: string}} user - Sender
+   * @param {string} quotedProject - Target for session-scoped commands (null = user's active project)
    */
-  handleCommand(text) {
-    const parts = text.split(/\s+/);
-    const cmd = parts[0].toLowerCase();
-    const arg = parts.slice(1).join(' ').trim();
-
-    switch (cmd) {
-      case '/open':
-        // No arg → show full list; with arg → filter or direct open
-        return this.showProjectList(arg || '');
-
-      case '/kill':
-        if (!arg) {
-          // No argument — show interactive list of active sessions
-          return this.showKillList();
-        }
-        return this.sessionManager.kill(arg);
+  handleCommand(user, text, quotedProject = null) {
+    const name = text.split(/\s+/, 1)[0];
+    const command = this.commands.get(name);
+
+    if (!command) {
+      if (config.commands.reserved.map(normalizeName).includes(normalizeName(name))) {
+        return `${name.toLowerCase()} is reserved by the bridge and isn't sent to Claude.`;
+      }
+
+      // Unrecognized /commands are passed through to Claude as-is.
+      // This lets Claude Code skills (/sessionstart, /commit, etc.) work
+      // transparently — Claude sees the skill name and invokes it.
+      if (!can(user, 'chat')) return this.denied(user);
+      if (this.drafts.has(user.number)) return this.addToDraft(user, text);
+      return this.sessionManager.relay(user.number, text, quotedProject);
+    }
 
-      case '/restart':
-        if (!arg) {
-          // No argument — show interactive list of active sessions
-          return this.showRestartList();
-        }
-        return this.sessionManager.restart(arg);
-
-      case '/list':
-        return this.sessionManager.list();
-
-      case '/status':
-        return this.sessionManager.status();
-
-      case '/full':
-        return this.sessionManager.getFullOutput();
-
-      // Tool approval commands
-      case '/yes':
-      case '/approve':
-        return this.sessionManager.approveAction(true);
-
-      case '/no':
-      case '/deny':
-        return this.sessionManager.approveAction(false);
-
-      // Interrupt current query
-      case '/cancel':
-        return this.sessionManager.cancel();
-
-      // Cost reporting
-      case '/cost':
-        return this.showCostReport(arg);
-
-      case '/help':
-        return [
-          '*wa-claude commands:*\n',
-          '/open — Project picker (or /open <prefix> to filter)',
-          '/kill — Show session menu (or /kill <project> for direct)',
-          '/restart — Show session menu (or /restart <project> for direct)',
-          '/list — Show all active sessions',
-          '/status — System health info',
-          '/cost — Today\'s API usage (or /cost week|month|all)',
-          '/full — Resend last output untruncated',
-          '/cancel — Interrupt current Claude query',
-          '/help — This message',
-          '',
-          '*Interactive features:*',
-          '• Action approvals show [Approve] [Deny] buttons',
-          '• /open shows top 10 (active sessions first); /open t filters by prefix',
-          '• /kill and /restart show active session menus',
-          '',
-          'Any other text is sent to the active Claude Code session.',
-        ].join('\n');
+    if (!can(user, command.permission)) {
+      return this.denied(user);
+    }
 
-      default:
-        // Unrecognized /commands are passed through to Claude as-is.
-        // This lets Claude Code skills (/sessionstart, /commit, etc.) work
-        // transparently — Claude sees the skill name and invokes it.
-        return this.sessionManager.relay(text);
+    const { args, error } = this.commands.parseArgs(command, text.slice(name.length));
+    if (error) return error;
+
+    return command.handler({ user, args, text, quotedProject });
+  }
+
+  /**
+   * /help — generated from the registry, listing what this user may run.
+   * @param {string} commandName - Show details for one command instead
+   */
+  showHelp(user, commandName = '') {
+    if (commandName) {
+      const command = this.commands.get(commandName);
+      if (!command) return `Unknown command ${normalizeName(commandName)}. Send /help for the list.`;
+      return this.commands.formatCommandHelp(command);
     }
+
+    return [
+      '*wa-claude commands:*\n',
+      this.commands.formatHelp(command => can(user, command.permission)),
+      '',
+      '*Interactive features:*',
+      '• Action approvals show [Approve] [Deny] buttons',
+      '• /open lists projects (active sessions first); /open t filters by prefix',
+      '• Long lists are paged — tap More… for the next page',
+      '• /kill and /restart show active session menus',
+      '',
+      'Any other text is sent to the active Claude Code session.',
+      'Other /commands go to Claude too (e.g. skills like /commit).',
+      'Swipe-reply to a 📂 message to send it to that project instead.',
+    ].join('\n');
   }
 
   /**
    * Show interactive project list, optionally filtered by a prefix.
-   * Active sessions are surfaced first, then alphabetical.
+   * Active sessions are surfaced first, then grouped per config.lists.projectSections.
+   * @param {{number: string, role: string}} user - Who the list is for
    * @param {string} filter - prefix to match against project names (empty = all)
+   * @param {number} page - Zero-based page (from a "More…" row)
    */
-  async showProjectList(filter) {
+  async showProjectList(user, filter, page = 0) {
     const allProjects = await this.sessionManager.getAvailableProjects();
 
     if (allProjects.length === 0) {
@@ -161,123 +525,164 @@ export class CommandRouter {
       ? allProjects.filter(p => p.title.toLowerCase().startsWith(lowerFilter))
       : allProjects;
 
-    // Exact match → open directly
-    if (filter && matched.length === 1) {
-      return this.sessionManager.open(matched[0].id);
+    // Exact match → open directly (only when asked — not from a "More…" row)
+    if (filter && matched.length === 1 && page === 0) {
+      return this.sessionManager.open(user.number, matched[0].id);
     }
 
     // Filter matched nothing → try as exact project name (could be a substring miss)
     if (filter && matched.length === 0) {
       const exact = allProjects.find(p => p.title.toLowerCase() === lowerFilter);
-      if (exact) return this.sessionManager.open(exact.id);
+      if (exact) return this.sessionManager.open(user.number, exact.id);
       return `No projects matching "${filter}". Use /open to browse.`;
     }
 
-    // Sort: active sessions first, then alphabetical
     const activeSessions = new Set(this.sessionManager.sessions.keys());
-    const sorted = [...matched].sort((a, b) => {
-      const aActive = activeSessions.has(a.id);
-      const bActive = activeSessions.has(b.id);
-      if (aActive && !bActive) return -1;
-      if (!aActive && bActive) return 1;
-      return a.title.toLowerCase().localeCompare(b.title.toLowerCase());
-    });
-
-    // Tag active sessions in the description
-    const tagged = sorted.map(p => ({
-      ...p,
-      description: activeSessions.has(p.id) ? '● Active session' : p.description || '',
-    }));
+    const items = groupProjects(matched, activeSessions, config.lists.projectSections);
 
-    // WhatsApp caps at 10 rows
-    const display = tagged.slice(0, 10);
     const total = matched.length;
-    const overflow = total > 10;
+    const overflow = total > MAX_ROWS;
 
     let bodyText;
     if (filter && overflow) {
-      bodyText = `${total} projects match "${filter}" (showing 10). Try a longer prefix.`;
+      bodyText = `${total} projects match "${filter}". Tap More… or try a longer prefix.`;
     } else if (filter) {
       bodyText = `Projects matching "${filter}":`;
     } else if (overflow) {
-      bodyText = `Showing 10 of ${total}. Use /open <prefix> to filter.`;
+      bodyText = `${total} projects. Use /open <prefix> to filter.`;
     } else {
       bodyText = 'Select a project to open:';
     }
 
-    try {
-      await this.sendList(bodyText, 'Choose Project', null, [{
-        title: 'Projects',
-        rows: display.map(p => ({ id: p.id, title: p.title, description: p.description })),
-      }]);
-      return null;
-    } catch (err) {
-      // Fallback to text list
-      console.error('[router] Failed to send list:', err.message);
-      const list = display.map(p => `• ${p.title}${activeSessions.has(p.id) ? ' ●' : ''}`).join('\n');
-      const more = overflow ? `\n\n...and ${total - 10} more — use /open <prefix>` : '';
-      return `${bodyText}\n\n${list}${more}\n\nReply with: /open <project-name>`;
-    }
+    return this.sendPagedList(user, {
+      list: 'open',
+      filter,
+      page,
+      items,
+      title: 'Projects',
+      bodyText,
+      buttonText: 'Choose Project',
+      fallbackHint: 'Reply with: /open <project-name>',
+    });
   }
 
   /**
    * Show interactive list of active sessions for killing.
+   * @param {number} page - Zero-based page (from a "More…" row)
+   */
+  async showKillList(user, page = 0) {
+    return this.showSessionList(user, page, {
+      list: 'kill',
+      idPrefix: 'kill_',
+      empty: 'No active sessions to kill. Use /list to see all sessions.',
+      bodyText: 'Select a session to kill:',
+      buttonText: 'Kill Session',
+      fallbackHint: 'Reply with: /kill <project-name>',
+    });
+  }
+
+  /**
+   * Show interactive list of active sessions for restarting.
+   * @param {number} page - Zero-based page (from a "More…" row)
+   */
+  async showRestartList(user, page = 0) {
+    return this.showSessionList(user, page, {
+      list: 'restart',
+      idPrefix: 'restart_',
+      empty: 'No active sessions to restart. Use /list to see all sessions.',
+      bodyText: 'Select a session to restart:',
+      buttonText: 'Restart Session',
+      fallbackHint: 'Reply with: /restart <project-name>',
+    });
+  }
+
+  /**
+   * Session picker shared by /kill and /restart — one row per open session,
+   * the user's active one marked.
    */
-  async showKillList() {
+  async showSessionList(user, page, { list, idPrefix, empty, bodyText, buttonText, fallbackHint }) {
     const activeSessions = Array.from(this.sessionManager.sessions.keys());
 
     if (activeSessions.length === 0) {
-      return 'No active sessions to kill. Use /list to see all sessions.';
+      return empty;
     }
 
     const items = activeSessions.map(name => ({
-      id: `kill_${name}`,
+      id: `${idPrefix}${name}`,
       title: name,
-      description: name === this.sessionManager.activeProject ? 'Active' : 'Idle',
+      description: name === this.sessionManager.getActiveProject(user.number) ? 'Active' : 'Idle',
     }));
 
+    return this.sendPagedList(user, { list, page, items, title: 'Sessions', bodyText, buttonText, fallbackHint });
+  }
+
+  /**
+   * Rebuild a paged list from the "More…" row's token.
+   * @param {{list: string, page: number, filter: string}} token - See src/list-pager.js
+   */
+  showListPage(user, { list, page, filter }) {
+    switch (list) {
+      case 'open':
+        return this.showProjectList(user, filter, page);
+      case 'kill':
+        return this.showKillList(user, page);
+      case 'restart':
+        return this.showRestartList(user, page);
+      default:
+        console.warn(`[router] Unknown list in page token: ${list}`);
+        return null;
+    }
+  }
+
+  /**
+   * Send one page of a list as an interactive list message (see src/list-pager.js).
+   * Falls back to a plain-text list if the send fails.
+   * @param {{list: string, filter?: string, page?: number, items: Array, title: string,
+   *   bodyText: string, buttonText: string, fallbackHint: string}} options
+   * @returns {Promise<string|null>} null once sent, or the text fallback
+   */
+  async sendPagedList(user, { list, filter = '', page = 0, items, title, bodyText, buttonText, fallbackHint }) {
+    const paged = paginate(items, { list, page, filter, title });
+    const pageNote = paged.pageCount > 1 ? `\n\n_Page ${paged.page + 1} of ${paged.pageCount}_` : '';
+
     try {
-      await this.sendList(
-        'Select a session to kill:',
-        'Kill Session',
-        items
-      );
+      await this.transport.sendList(user.number, bodyText + pageNote, buttonText, null, paged.sections);
       return null;
     } catch (err) {
-      console.error('[router] Failed to send kill list:', err.message);
-      const list = activeSessions.map(name => `• ${name}`).join('\n');
-      return `Active sessions:\n\n${list}\n\nReply with: /kill <project-name>`;
+      // Fallback to text list
+      console.error(`[router] Failed to send ${list} list:`, err.message);
+      const rows = paged.rows.map(item => `• ${item.title}${item.active ? ' ●' : ''}`).join('\n');
+      const shown = paged.rows.length;
+      const more = paged.total > shown ? `\n\n...and ${paged.total - shown} more` : '';
+      return `${bodyText}\n\n${rows}${more}\n\n${fallbackHint}`;
     }
   }
 
   /**
-   * Show interactive list of active sessions for restarting.
+   * Replay undelivered outbound messages and report what happened.
    */
-  async showRestartList() {
-    const activeSessions = Array.from(this.sessionManager.sessions.keys());
-
-    if (activeSessions.length === 0) {
-      return 'No active sessions to restart. Use /list to see all sessions.';
+  async replayMissedMessages(user) {
+    if (!this.transport.replayMissed) {
+      return 'This chat doesn\'t track deliveries — nothing to replay.';
     }
 
-    const items = activeSessions.map(name => ({
-      id: `restart_${name}`,
-      title: name,
-      description: name === this.sessionManager.activeProject ? 'Active' : 'Idle',
-    }));
+    const { replayed, failed } = await this.transport.replayMissed(user.number);
 
-    try {
-      await this.sendList(
-        'Select a session to restart:',
-        'Restart Session',
-        items
-      );
-      return null;
-    } catch (err) {
-      console.error('[router] Failed to send restart list:', err.message);
-      const list = activeSessions.map(name => `• ${name}`).join('\n');
-      return `Active sessions:\n\n${list}\n\nReply with: /restart <project-name>`;
+    if (replayed === 0 && failed === 0) {
+      return 'No missed messages — everything was delivered.';
+    }
+    if (failed > 0) {
+      return `Replayed ${replayed} missed message${replayed === 1 ? '' : 's'}; ${failed} failed again.`;
     }
+    return `Replayed ${replayed} missed message${replayed === 1 ? '' : 's'}.`;
+  }
+
+  /**
+   * Response for a user whose role doesn't allow an action.
+   */
+  denied(user) {
+    console.warn(`[router] ${user.number} (${user.role}) not permitted`);
+    return `_Not allowed — your role is ${user.role}._`;
   }
 
   /**
@@ -292,3 +697,59 @@ export class CommandRouter {
   }
 
 }
+
+/**
+ * Order projects for the picker — active sessions first — and assign sections.
+ * Row ids are open_<project>, so a project named like another button's id
+ * (gitok_1, model_x) still opens.
+ * @param {Array<{id: string, title: string, description?: string, modifiedAt?: number}>} projects
+ * @param {Set<string>} activeSessions - Projects with an open session
+ * @param {'letter'|'recency'|'none'} grouping - config.lists.projectSections
+ */
+function groupProjects(projects, activeSessions, grouping) {
+  const byName = (a, b) => a.title.toLowerCase().localeCompare(b.title.toLowerCase());
+  const byRecency = (a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0) || byName(a, b);
+
+  const active = projects.filter(p => activeSessions.has(p.id)).sort(byName);
+  const rest = projects.filter(p => !activeSessions.has(p.id)).sort(grouping === 'recency' ? byRecency : byName);
+  const grouped = grouping === 'letter' || grouping === 'recency';
+
+  return [
+    ...active.map(p => ({
+      id: `open_${p.id}`,
+      title: p.title,
+      description: '● Active session',
+      section: grouped ? 'Active sessions' : undefined,
+      active: true,
+    })),
+    ...rest.map(p => ({
+      id: `open_${p.id}`,
+      title: p.title,
+      description: p.description || '',
+      section: grouping === 'letter' ? letterOf(p.title)
+        : grouping === 'recency' ? recencyOf(p.modifiedAt)
+        : undefined,
+    })),
+  ];
+}
+
+function letterOf(title) {
+  const first = title.charAt(0).toUpperCase();
+  return /[A-Z]/.test(first) ? first : '#';
+}
+
+function recencyOf(modifiedAt) {
+  const age = Date.now() - (modifiedAt || 0);
+  const day = 24 * 60 * 60 * 1000;
+  if (age < day) return 'Today';
+  if (age < 7 * day) return 'This week';
+  if (age < 30 * day) return 'This month';
+  return 'Older';
+}
+
+/**
+ * Strip skin-tone modifiers and variation selectors so 👍🏽 matches 👍 and ⏹️ matches ⏹.
+ */
+function normalizeEmoji(emoji) {
+  return emoji.replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F]/gu, '');
+}
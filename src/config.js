@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { resolve } from 'path';
+import { tmpdir } from 'os';
 
 // Load shared .env from dev root, then project-local override
 dotenv.config({ path: resolve('C:/Users/bhara/dev/.env') });
@@ -11,10 +12,34 @@ export default {
     accessToken: process.env.WA_CLAUDE_ACCESS_TOKEN,
     phoneNumberId: process.env.WA_CLAUDE_PHONE_NUMBER_ID,
     webhookVerifyToken: process.env.WA_CLAUDE_WEBHOOK_VERIFY_TOKEN,
+    // Meta app secret — used to verify X-Hub-Signature-256 on incoming webhooks.
+    // If unset, every webhook POST is rejected unless skipSignatureCheck is on.
+    appSecret: process.env.WA_CLAUDE_APP_SECRET || '',
+    // Explicit opt-out for verification (e.g. local experiments) — never in production
+    skipSignatureCheck: process.env.WA_CLAUDE_SKIP_SIGNATURE_CHECK === 'true',
     apiVersion: 'v21.0',
+    // Graph API host — overridden by the offline test harness's fake server
+    graphUrl: process.env.WA_CLAUDE_GRAPH_URL || 'https://graph.facebook.com',
   },
 
-  // Sender verification — only this number can interact with the bot
+  // Chat transport — 'whatsapp' (Meta Cloud API) or 'local' (terminal + loopback HTTP,
+  // no Meta account needed). See src/transport.js.
+  transport: process.env.WA_CLAUDE_TRANSPORT || 'whatsapp',
+
+  // Local transport — the user still has to pass the allowlist below
+  // (e.g. WA_CLAUDE_USERS=local:admin), unless the allowlist is empty
+  local: {
+    user: process.env.WA_CLAUDE_LOCAL_USER || 'local',
+    console: process.env.WA_CLAUDE_LOCAL_CONSOLE !== 'false', // Chat on the server's stdin/stdout
+    outboxDir: resolve(tmpdir(), 'wa-claude-local'),         // Where sent documents/images are written
+    bodyLimit: '30mb',                                        // Room for base64 files posted over HTTP
+  },
+
+  // Sender verification — allowlist of users with roles (admin | member | viewer).
+  // Format: WA_CLAUDE_USERS=15551234567:admin,15557654321:viewer — see src/users.js
+  users: parseUsers(process.env.WA_CLAUDE_USERS),
+
+  // Legacy single-user allowlist — used as the sole admin when `users` is empty
   allowedNumber: process.env.WA_CLAUDE_ALLOWED_NUMBER || '',
 
   // Project directory root
@@ -29,11 +54,107 @@ export default {
   output: {
     maxMessageLength: 4000,
     summarizeThreshold: 1500,
+    attachmentThreshold: 6000,  // Outputs longer than this (chars) are also sent as a file
+    attachmentFormat: 'md',     // 'md' or 'txt' — extension of output attachments
+    // Default per-session output mode (changed with /brief, /verbose, /quiet):
+    // brief — long output summarized; verbose — everything as-is;
+    // quiet — final answer only (summarized), no tool notices
+    mode: 'brief',
+  },
+
+  // Slash commands — the bridge's own commands are matched first (src/command-registry.js);
+  // any other /command goes to Claude as-is, so Claude Code skills like /commit work.
+  // Names listed here are claimed by the bridge and never passed through.
+  // Format: WA_CLAUDE_RESERVED_COMMANDS=/clear,/config
+  commands: {
+    reserved: (process.env.WA_CLAUDE_RESERVED_COMMANDS || '').split(',').map(name => name.trim()).filter(Boolean),
+  },
+
+  // Interactive lists — WhatsApp shows at most 10 rows, so longer lists are
+  // paged, each page ending in a "More…" row (see src/list-pager.js)
+  lists: {
+    pageSize: 9, // Rows per page, not counting "More…"
+    // How /open groups projects into sections: 'letter', 'recency' or 'none'
+    projectSections: process.env.WA_CLAUDE_LIST_SECTIONS || 'none',
+  },
+
+  // Inbound dedupe — Meta retries webhook deliveries; remember message ids this long
+  dedupe: {
+    ttlMs: 24 * 60 * 60 * 1000, // 24 hours
+  },
+
+  // Outbound send queue — per-recipient FIFO with throttling and retry
+  outbound: {
+    minIntervalMs: 300,   // Gap between consecutive sends to the same recipient
+    maxRetries: 5,        // Retries for transient failures (network, 429, 5xx, Graph rate-limit codes)
+    baseBackoffMs: 1000,  // Exponential backoff: base * 2^attempt, unless Retry-After says otherwise
+    maxBackoffMs: 60 * 1000,
+  },
+
+  // Presence — read receipts on inbound messages, typing indicator while a session works
+  presence: {
+    readReceipts: true,
+    typingIndicator: true,
+    typingRefreshMs: 20 * 1000, // WhatsApp drops the indicator after ~25s
+  },
+
+  // 24-hour customer service window — outside it WhatsApp only accepts approved
+  // templates. Output is held and this template sent instead; its body takes one
+  // parameter, the project name (e.g. "Your task in {{1}} finished, reply to see results").
+  window: {
+    templateName: process.env.WA_CLAUDE_TEMPLATE_NAME || '',
+    templateLanguage: process.env.WA_CLAUDE_TEMPLATE_LANG || 'en_US',
+  },
+
+  // Outbound delivery tracking — status webhooks, resends, /missed
+  delivery: {
+    maxTracked: 500,                    // Outbound messages remembered for status correlation
+    maxResends: 1,                      // Automatic resends of a message reported as failed
+    undeliveredAfterMs: 2 * 60 * 1000,  // Sent-but-not-delivered this long counts as missed
+  },
+
+  // Emoji reactions as gestures — react to a session's message to act on it.
+  // approve/deny apply to [ACTION NEEDED] messages; cancel to any session message.
+  // Skin tones and variation selectors are ignored when matching.
+  reactions: {
+    '👍': 'approve',
+    '✅': 'approve',
+    '👎': 'deny',
+    '❌': 'deny',
+    '⏹': 'cancel',
+    '🛑': 'cancel',
+  },
+
+  // Inbound documents — saved into <projectDir>/<inboxDir>/ and referenced in the next prompt
+  documents: {
+    inboxDir: process.env.WA_CLAUDE_INBOX_DIR || 'wa-inbox',
+    maxBytes: 20 * 1024 * 1024, // 20 MB
+  },
+
+  // Images Claude produces or mentions — relayed back as WhatsApp image messages
+  images: {
+    maxPerQuery: 5,
+    maxBytes: 5 * 1024 * 1024,           // WhatsApp's image limit
+    extensions: ['.png', '.jpg', '.jpeg'], // The only image types WhatsApp accepts
+    scanDepth: 4,                          // How deep to look for images a Bash command wrote
+  },
+
+  // Voice note transcription — see src/transcriber.js
+  transcription: {
+    engine: process.env.WA_CLAUDE_TRANSCRIBER || 'whisper-cpp', // 'whisper-cpp' | 'stub'
+    command: process.env.WA_CLAUDE_WHISPER_BIN || 'whisper-cli',
+    model: process.env.WA_CLAUDE_WHISPER_MODEL || '',
+    ffmpegCommand: process.env.WA_CLAUDE_FFMPEG_BIN || 'ffmpeg',
+    stubText: 'This is a stub transcript.',
+    timeoutMs: 2 * 60 * 1000, // 2 minutes
   },
 
   // Claude Agent SDK settings
   claude: {
     model: process.env.WA_CLAUDE_MODEL || 'sonnet',
+    // Offered by /model (per session); any full model id (claude-...) works too
+    models: ['sonnet', 'opus', 'haiku'],
+    // Starting permission mode for new sessions — /mode switches per session
     permissionMode: 'acceptEdits',
     // Tools auto-approved without relaying to WhatsApp
     allowedTools: [
@@ -48,8 +169,30 @@ export default {
     approvalTimeoutMs: 5 * 60 * 1000, // 5 minutes
     // Maximum wall-clock time for a single query (ms) — abort after this
     queryTimeoutMs: 10 * 60 * 1000, // 10 minutes
+    // Prompts sent while a session is busy wait in its queue, up to this many
+    maxQueuedPrompts: 10,
+  },
+
+  // /git shortcuts — run directly in the project, no Claude query (see src/git-commands.js)
+  git: {
+    timeoutMs: 60 * 1000,   // push can be slow; anything longer is killed
+    logCount: 10,           // /git log without -n
+    maxLogCount: 50,
+    maxOutputLines: 60,     // Longer output is cut, with a count of what's left
   },
 
   // Server
   port: parseInt(process.env.WA_CLAUDE_PORT || '3100', 10),
 };
+
+/**
+ * Parse "number:role,number:role" into { number: role }. Role defaults to member.
+ */
+function parseUsers(spec = '') {
+  const users = {};
+  for (const pair of spec.split(',')) {
+    const [number, role = 'member'] = pair.trim().split(':').map(part => part.trim());
+    if (number) users[number] = role;
+  }
+  return users;
+}
@@ -5,15 +5,32 @@
 // - File change compression → one-line summaries
 // - Code block truncation → first 5 lines + count
 // - Reasoning truncation → first + last paragraph
+// - Attachment decision → outputs too long to read inline also go out as a file
 
 import config from './config.js';
 
 export class ContentProcessor {
+  /**
+   * Whether this output should also be sent as a file attachment — it's over
+   * attachmentThreshold, or summarizing it would cut a long code block.
+   */
+  needsAttachment(text) {
+    if (!text || !text.trim()) return false;
+
+    text = text.trim();
+    if (text.length > config.output.attachmentThreshold) return true;
+    if (text.length <= config.output.summarizeThreshold || isError(text)) return false;
+    return hasLongCodeBlock(text);
+  }
+
   /**
    * Process clean text and return summarized output.
    * Returns null if text is empty after processing.
+   * @param {{attached?: boolean, passthrough?: boolean}} options - attached: the full text is
+   *   being sent as a file, so truncation markers point there instead of at /full;
+   *   passthrough: never summarize (verbose mode)
    */
-  summarize(text) {
+  summarize(text, { attached = false, passthrough = false } = {}) {
     if (!text || !text.trim()) return null;
 
     text = text.trim();
@@ -23,8 +40,8 @@ export class ContentProcessor {
       return `[ERROR] ${text}`;
     }
 
-    // Under threshold — send as-is
-    if (text.length <= config.output.summarizeThreshold) {
+    // Under threshold, or verbose — send as-is
+    if (passthrough || text.length <= config.output.summarizeThreshold) {
       return text;
     }
 
@@ -32,11 +49,11 @@ export class ContentProcessor {
     text = compressFileChanges(text);
 
     // Truncate code blocks
-    text = truncateCodeBlocks(text);
+    text = truncateCodeBlocks(text, attached);
 
     // If still over threshold, truncate reasoning
     if (text.length > config.output.summarizeThreshold) {
-      text = truncateReasoning(text);
+      text = truncateReasoning(text, attached);
     }
 
     return text;
@@ -83,28 +100,40 @@ function compressFileChanges(text) {
   return compressed.join('\n');
 }
 
-function truncateCodeBlocks(text) {
-  return text.replace(/```[\s\S]*?```/g, (block) => {
+const CODE_BLOCK = /```[\s\S]*?```/g;
+const MAX_CODE_LINES = 12;
+
+function hasLongCodeBlock(text) {
+  return (text.match(CODE_BLOCK) || []).some(block => block.split('\n').length > MAX_CODE_LINES);
+}
+
+// Where to find what was cut
+function fullHint(attached) {
+  return attached ? 'see attached file' : 'reply /full to see';
+}
+
+function truncateCodeBlocks(text, attached) {
+  return text.replace(CODE_BLOCK, (block) => {
     const lines = block.split('\n');
-    if (lines.length <= 12) return block;
+    if (lines.length <= MAX_CODE_LINES) return block;
 
     const header = lines[0];
     const preview = lines.slice(1, 6).join('\n');
     const remaining = lines.length - 6;
-    return `${header}\n${preview}\n[... ${remaining} more lines — reply /full to see]\n\`\`\``;
+    return `${header}\n${preview}\n[... ${remaining} more lines — ${fullHint(attached)}]\n\`\`\``;
   });
 }
 
-function truncateReasoning(text) {
+function truncateReasoning(text, attached) {
   const paragraphs = text.split(/\n\n+/);
 
   if (paragraphs.length <= 2) {
-    return text.slice(0, config.output.summarizeThreshold) + '\n[... truncated — reply /full to see]';
+    return text.slice(0, config.output.summarizeThreshold) + `\n[... truncated — ${fullHint(attached)}]`;
   }
 
   const first = paragraphs[0];
   const last = paragraphs[paragraphs.length - 1];
   const skipped = paragraphs.length - 2;
 
-  return `${first}\n\n[... ${skipped} sections truncated — reply /full to see]\n\n${last}`;
+  return `${first}\n\n[... ${skipped} sections truncated — ${fullHint(attached)}]\n\n${last}`;
 }
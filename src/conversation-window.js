@@ -0,0 +1,96 @@
+// Conversation window — tracks WhatsApp's 24-hour customer service window
+//
+// Responsibilities:
+// - Record when each user last messaged us (that's what opens the window)
+// - Report how long until a user's window closes
+// - Persist to a JSON file so a PM2 restart doesn't forget open windows
+//
+// Outside the window, WhatsApp only accepts approved template messages.
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+
+export const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export class ConversationWindow {
+  /**
+   * @param {string} filePath - JSON file to persist last-inbound times
+   *   (default: data/conversation-windows.json under the working directory at construction)
+   */
+  constructor(filePath = join(process.cwd(), 'data', 'conversation-windows.json')) {
+    this._path = filePath;
+    this._ensureDataDir();
+
+    // Map of user number → ms timestamp of their latest inbound message
+    this._lastInbound = this._loadStore();
+  }
+
+  /**
+   * Record an inbound message — (re)opens the user's window.
+   * @param {string} number - User phone number
+   * @param {number} atMs - When the user sent it (default: now)
+   */
+  touch(number, atMs = Date.now()) {
+    if (atMs <= (this._lastInbound[number] || 0)) return;
+    this._lastInbound[number] = atMs;
+    this._saveStore();
+  }
+
+  /**
+   * Milliseconds until the user's window closes: 0 if closed, null if we've
+   * never heard from them (unknown — e.g. before the first inbound message).
+   */
+  remaining(number) {
+    const last = this._lastInbound[number];
+    if (!last) return null;
+    return Math.max(last + WINDOW_MS - Date.now(), 0);
+  }
+
+  /**
+   * Close a user's window early — WhatsApp told us it's closed (re-engagement error).
+   */
+  close(number) {
+    this._lastInbound[number] = Date.now() - WINDOW_MS;
+    this._saveStore();
+  }
+
+  // --- Internal methods ---
+
+  _ensureDataDir() {
+    const dir = dirname(this._path);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  _loadStore() {
+    if (!existsSync(this._path)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(this._path, 'utf-8')).lastInbound || {};
+    } catch (err) {
+      console.error('[window] Failed to load store, starting fresh:', err.message);
+      return {};
+    }
+  }
+
+  _saveStore() {
+    try {
+      writeFileSync(this._path, JSON.stringify({ lastInbound: this._lastInbound }, null, 2), 'utf-8');
+    } catch (err) {
+      console.error('[window] Failed to save store:', err.message);
+    }
+  }
+}
+
+/**
+ * Human-readable duration (e.g. "1h 20m", "45m").
+ */
+export function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
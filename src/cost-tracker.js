@@ -20,7 +20,7 @@ export class CostTracker {
   /**
    * Record a completed query's cost.
    */
-  recordQuery(projectName, { turns, cost }) {
+  recordQuery(projectName, { turns, cost, model = null }) {
     const timestamp = new Date().toISOString();
     const date = timestamp.split('T')[0]; // YYYY-MM-DD
 
@@ -28,6 +28,7 @@ export class CostTracker {
       timestamp,
       date,
       project: projectName,
+      model,
       turns,
       cost: cost || 0,
     };
@@ -47,7 +48,7 @@ export class CostTracker {
 
     this._saveLog();
 
-    console.log(`[cost] Recorded: ${projectName} — ${turns} turns, $${cost?.toFixed(4) || '0.0000'}`);
+    console.log(`[cost] Recorded: ${projectName}${model ? ` (${model})` : ''} — ${turns} turns, $${cost?.toFixed(4) || '0.0000'}`);
   }
 
   /**
@@ -138,6 +139,27 @@ export class CostTracker {
       .slice(0, limit);
   }
 
+  /**
+   * Get cost per model (all time). Queries logged before models were
+   * recorded are grouped as 'unknown'.
+   */
+  getModelBreakdown() {
+    const modelTotals = {};
+
+    for (const query of this._log.queries) {
+      const model = query.model || 'unknown';
+      if (!modelTotals[model]) {
+        modelTotals[model] = { queries: 0, cost: 0 };
+      }
+      modelTotals[model].queries++;
+      modelTotals[model].cost += query.cost || 0;
+    }
+
+    return Object.entries(modelTotals)
+      .map(([model, data]) => ({ model, ...data }))
+      .sort((a, b) => b.cost - a.cost);
+  }
+
   /**
    * Format a cost report for WhatsApp.
    */
@@ -186,6 +208,11 @@ export class CostTracker {
       for (const proj of topProjects) {
         lines.push(`• ${proj.project}: $${proj.cost.toFixed(4)} (${proj.queries}q)`);
       }
+      lines.push('');
+      lines.push('_By model:_');
+      for (const { model, cost, queries } of this.getModelBreakdown()) {
+        lines.push(`• ${model}: $${cost.toFixed(4)} (${queries}q)`);
+      }
     }
 
     return lines.join('\n');
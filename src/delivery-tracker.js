@@ -0,0 +1,133 @@
+// Delivery tracker — correlates outbound WhatsApp messages with status webhooks
+//
+// Responsibilities:
+// - Remember every outbound message (id, recipient, Graph payload) we sent
+// - Apply sent/delivered/read/failed status events to those messages
+// - Keep sends that failed at the HTTP level, so they can be replayed too
+// - List messages that never reached the phone (for /missed)
+// - Remember which project/session produced each message (quoted-reply routing)
+
+import config from './config.js';
+
+// Statuses only move forward — Meta can deliver them out of order
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3 };
+
+export class DeliveryTracker {
+  constructor(maxTracked = config.delivery.maxTracked) {
+    this._maxTracked = maxTracked;
+
+    // Map of messageId → { id, to, payload, preview, status, sentAt, resends, notice, origin, error }
+    // Insertion-ordered, so the oldest entries are evicted first
+    this._messages = new Map();
+
+    // Counter for synthetic ids of sends that never got a WhatsApp id
+    this._localSeq = 0;
+  }
+
+  /**
+   * Record a message Graph accepted. Returns the tracked entry.
+   * @param {string} id - WhatsApp message id (wamid) from the send response
+   * @param {{to: string, payload: object, resends?: number, notice?: boolean, origin?: object}} details
+   *   origin is { project, sessionId } for messages a Claude session produced
+   */
+  recordSent(id, { to, payload, resends = 0, notice = false, origin = null }) {
+    return this._add({ id, to, payload, status: 'accepted', resends, notice, origin });
+  }
+
+  /**
+   * Record a send Graph rejected outright (HTTP error / network failure).
+   * These never got a WhatsApp id, so they get a local one.
+   */
+  recordSendFailure({ to, payload, error, resends = 0, notice = false, origin = null }) {
+    const id = `local-${++this._localSeq}`;
+    return this._add({ id, to, payload, status: 'failed', error, resends, notice, origin });
+  }
+
+  /**
+   * Apply a status webhook event to the matching outbound message.
+   * @param {{id: string, status: string, errors?: Array}} event - Meta status object
+   * @returns {object|null} The updated entry, or null if unknown / not an upgrade
+   */
+  applyStatus({ id, status, errors }) {
+    const entry = this._messages.get(id);
+    if (!entry) return null;
+
+    if (status === 'failed') {
+      entry.status = 'failed';
+      entry.error = errors?.map(e => `${e.code}: ${e.title || e.message}`).join('; ') || 'unknown error';
+      return entry;
+    }
+
+    // Ignore stale or unknown statuses (e.g. "sent" arriving after "delivered")
+    const next = STATUS_RANK[status];
+    if (next === undefined || entry.status === 'failed' || next <= (STATUS_RANK[entry.status] ?? -1)) {
+      return null;
+    }
+
+    entry.status = status;
+    return entry;
+  }
+
+  /**
+   * Which project/session produced an outbound message.
+   * @param {string} id - WhatsApp message id (e.g. from an inbound message's context.id)
+   * @returns {{project: string, sessionId: string|null}|null}
+   */
+  getOrigin(id) {
+    return this._messages.get(id)?.origin || null;
+  }
+
+  /**
+   * Mark an entry as superseded by a resend/replay — it no longer counts as missed.
+   */
+  markReplaced(id) {
+    const entry = this._messages.get(id);
+    if (entry) entry.status = 'replaced';
+  }
+
+  /**
+   * Messages to a recipient that never reached the phone, oldest first.
+   * Includes failed sends, plus sends still not delivered after undeliveredAfterMs.
+   */
+  getMissed(to) {
+    const staleBefore = Date.now() - config.delivery.undeliveredAfterMs;
+    return [...this._messages.values()].filter(entry => {
+      if (entry.to !== to) return false;
+      if (entry.status === 'failed') return true;
+      return (entry.status === 'accepted' || entry.status === 'sent') && entry.sentAt < staleBefore;
+    });
+  }
+
+  // --- Internal methods ---
+
+  _add({ id, to, payload, status, error = null, resends, notice, origin }) {
+    const entry = {
+      id,
+      to,
+      payload,
+      preview: previewOf(payload),
+      status,
+      error,
+      resends,
+      notice,
+      origin,
+      sentAt: Date.now(),
+    };
+    this._messages.set(id, entry);
+
+    // Evict oldest entries beyond the cap
+    while (this._messages.size > this._maxTracked) {
+      this._messages.delete(this._messages.keys().next().value);
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * Short human-readable preview of a Graph message payload.
+ */
+function previewOf(payload) {
+  const text = payload?.text?.body || payload?.interactive?.body?.text || `[${payload?.type || 'message'}]`;
+  return text.replace(/\s+/g, ' ').slice(0, 60);
+}
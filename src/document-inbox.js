@@ -0,0 +1,67 @@
+// Document inbox — saves files sent from WhatsApp into the active project
+//
+// Files land in <projectDir>/<config.documents.inboxDir>/ with sanitized,
+// non-clobbering names, so Claude can read them like any other project file.
+
+import { writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, basename, extname, relative } from 'path';
+import config from './config.js';
+
+/**
+ * Make a user-supplied filename safe to write: no path components, no
+ * leading dots, only conservative characters, bounded length.
+ * @param {string} filename - Original filename from WhatsApp
+ * @returns {string}
+ */
+export function sanitizeFilename(filename) {
+  // Strip any directory parts (both separators — the name comes from a phone)
+  let name = basename(String(filename || '').replace(/\\/g, '/'));
+
+  name = name
+    .replace(/[^\w.\- ]+/g, '_') // Drop anything outside a safe charset
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+/, '')      // No hidden files / "..": leading dots removed
+    .trim();
+
+  if (!name) name = 'file';
+
+  // Keep the extension when truncating long names
+  const maxLen = 100;
+  if (name.length > maxLen) {
+    const ext = extname(name).slice(0, 10);
+    name = name.slice(0, maxLen - ext.length) + ext;
+  }
+
+  return name;
+}
+
+/**
+ * Save a document into a project's inbox folder.
+ * Existing files are never overwritten — a numeric suffix is added instead.
+ * @param {string} projectDir - Project root directory
+ * @param {string} filename - Original filename
+ * @param {Buffer} buffer - File contents
+ * @returns {{path: string, relativePath: string}} Absolute and project-relative paths
+ */
+export function saveToInbox(projectDir, filename, buffer) {
+  const inboxDir = join(projectDir, config.documents.inboxDir);
+  if (!existsSync(inboxDir)) {
+    mkdirSync(inboxDir, { recursive: true });
+  }
+
+  const safeName = sanitizeFilename(filename);
+  const ext = extname(safeName);
+  const stem = safeName.slice(0, safeName.length - ext.length);
+
+  let path = join(inboxDir, safeName);
+  for (let n = 1; existsSync(path); n++) {
+    path = join(inboxDir, `${stem}-${n}${ext}`);
+  }
+
+  writeFileSync(path, buffer);
+
+  return {
+    path,
+    relativePath: relative(projectDir, path).replace(/\\/g, '/'),
+  };
+}
@@ -0,0 +1,136 @@
+// Git shortcuts — run a fixed set of git commands directly in a project,
+// without a Claude query (so no cost and no approval round-trip for reads)
+//
+// Read-only: status, diff --stat, log -n, branch
+// Mutating (need confirmation): commit -m, push
+//
+// Only these shapes are accepted — arguments are parsed into a fixed argv and
+// run with execFile (no shell), so nothing the user types becomes an option.
+
+import { execFile } from 'child_process';
+import config from './config.js';
+
+/**
+ * Parse the text after /git into a git invocation.
+ * @param {string} argText - e.g. 'log -n 5', 'commit -am "Fix typo"'
+ * @returns {{action: string, argv: string[], mutating: boolean, label: string}|{error: string}}
+ *   label — the command as shown to the user
+ */
+export function parseGitCommand(argText) {
+  const [action = '', ...rest] = tokenize(argText);
+
+  switch (action.toLowerCase()) {
+    case 'status':
+      if (rest.length) return usageError();
+      return readOnly('status', ['status', '--short', '--branch'], 'git status');
+
+    case 'diff': {
+      // --stat is the only form (full diffs don't fit a chat); --staged adds the index
+      const flags = new Set(rest);
+      flags.delete('--stat');
+      const staged = flags.delete('--staged') || flags.delete('--cached');
+      if (flags.size) return usageError();
+      const argv = ['diff', '--stat', ...(staged ? ['--staged'] : [])];
+      return readOnly('diff', argv, `git ${argv.join(' ')}`);
+    }
+
+    case 'log': {
+      // log, log -n 5, log -n5, log -5
+      const match = rest.join(' ').match(/^(?:-n\s*|-)?(\d+)$/);
+      if (rest.length && !match) return usageError();
+      const count = match
+        ? Math.min(Math.max(Number(match[1]), 1), config.git.maxLogCount)
+        : config.git.logCount;
+      return readOnly('log', ['log', '--oneline', '--decorate', '-n', String(count)], `git log -n ${count}`);
+    }
+
+    case 'branch':
+      if (rest.length) return usageError();
+      return readOnly('branch', ['branch', '-vv'], 'git branch');
+
+    case 'commit': {
+      // commit -m "msg" (staged changes) or commit -am "msg" (all tracked changes)
+      const all = rest[0] === '-am' || (rest[0] === '-a' && rest[1] === '-m');
+      const messageAt = rest[0] === '-a' ? 2 : 1;
+      if (!(all || rest[0] === '-m') || rest.length !== messageAt + 1 || !rest[messageAt].trim()) {
+        return { error: 'Usage: /git commit -m "message" (or -am to include all tracked changes)' };
+      }
+      const message = rest[messageAt];
+      return {
+        action: 'commit',
+        argv: ['commit', ...(all ? ['-a'] : []), '-m', message],
+        mutating: true,
+        label: `git commit ${all ? '-am' : '-m'} "${message}"`,
+      };
+    }
+
+    case 'push': {
+      // push [remote [branch]] — names only, never options
+      if (rest.length > 2 || rest.some(name => !/^[\w][\w./-]*$/.test(name))) {
+        return { error: 'Usage: /git push [remote] [branch]' };
+      }
+      return { action: 'push', argv: ['push', ...rest], mutating: true, label: ['git push', ...rest].join(' ') };
+    }
+
+    default:
+      return usageError();
+  }
+}
+
+/**
+ * Run git in a directory. Never rejects — failures come back as a result.
+ * @returns {Promise<{ok: boolean, output: string}>} output — stdout, or stderr/error on failure
+ */
+export function runGit(cwd, argv, { timeoutMs = config.git.timeoutMs } = {}) {
+  return new Promise((resolve) => {
+    execFile('git', argv, { cwd, timeout: timeoutMs, maxBuffer: 1024 * 1024, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const reason = err.killed ? `timed out after ${timeoutMs / 1000}s` : (stderr || stdout || err.message);
+        resolve({ ok: false, output: reason.trim() });
+        return;
+      }
+      // git push reports progress on stderr even on success
+      resolve({ ok: true, output: (stdout.trim() || stderr.trim()) });
+    });
+  });
+}
+
+/**
+ * Render a git result as Markdown — a title line plus the output in a code
+ * block, cut to config.git.maxOutputLines.
+ */
+export function formatGitResult(label, { ok, output }) {
+  const title = ok ? `**${label}**` : `**[ERROR]** ${label} failed`;
+  if (!output) return `${title}\n\n_Nothing to show._`;
+
+  const lines = output.split('\n');
+  const max = config.git.maxOutputLines;
+  const shown = lines.length > max
+    ? [...lines.slice(0, max), `... (${lines.length - max} more lines)`]
+    : lines;
+
+  return `${title}\n\n\`\`\`\n${shown.join('\n')}\n\`\`\``;
+}
+
+export const GIT_USAGE = 'Usage: /git status | diff [--stat] [--staged] | log [-n N] | branch | commit -m "msg" | push [remote] [branch]';
+
+function readOnly(action, argv, label) {
+  return { action, argv, mutating: false, label };
+}
+
+function usageError() {
+  return { error: GIT_USAGE };
+}
+
+/**
+ * Split on whitespace, keeping "double" or 'single' quoted strings together.
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return tokens;
+}
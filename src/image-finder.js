@@ -0,0 +1,93 @@
+// Image finder — spots images Claude produced or pointed at during a query
+//
+// Three sources, all confined to the project directory:
+// - Write tool uses whose file_path is an image
+// - Image paths mentioned in Claude's text
+// - Images modified under the project dir while a Bash command ran
+//   (screenshots, plots — anything a script wrote)
+
+import { readdirSync, statSync } from 'fs';
+import { join, resolve, relative, isAbsolute, extname } from 'path';
+import config from './config.js';
+
+// Directories never worth scanning for fresh images
+const SKIP_DIRS = new Set(['node_modules', '__pycache__', 'venv']);
+
+// Cap on directory entries visited per scan, so a huge tree can't stall a query
+const MAX_SCAN_ENTRIES = 5000;
+
+/**
+ * Whether a path has one of the relayable image extensions.
+ */
+export function isImagePath(path) {
+  return config.images.extensions.includes(extname(String(path)).toLowerCase());
+}
+
+/**
+ * Pull image-looking paths out of free text (e.g. "saved to out/chart.png").
+ * @param {string} text
+ * @returns {string[]} Paths as written — resolve against the project dir before use
+ */
+export function extractImagePaths(text) {
+  const exts = config.images.extensions.map(e => e.slice(1)).join('|');
+  const pattern = new RegExp(`(?:[A-Za-z]:)?[\\w.\\-/\\\\]+\\.(?:${exts})\\b`, 'gi');
+  return [...new Set(String(text).match(pattern) || [])];
+}
+
+/**
+ * Resolve a path against the project dir, returning the absolute path only
+ * if it's an existing image file inside the project (else null).
+ */
+export function resolveProjectImage(projectDir, path) {
+  const absolute = resolve(projectDir, path);
+  const rel = relative(projectDir, absolute);
+  if (!rel || rel.startsWith('..') || isAbsolute(rel) || !isImagePath(absolute)) {
+    return null;
+  }
+
+  try {
+    return statSync(absolute).isFile() ? absolute : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find image files under dir modified at or after sinceMs, newest first.
+ * Skips hidden and dependency directories; bounded by depth and entry count.
+ * @returns {string[]} Absolute paths
+ */
+export function findRecentImages(dir, sinceMs, maxDepth = config.images.scanDepth) {
+  const found = [];
+  let visited = 0;
+
+  const walk = (current, depth) => {
+    let entries;
+    try {
+      entries = readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (++visited > MAX_SCAN_ENTRIES) return;
+      const path = join(current, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < maxDepth && !entry.name.startsWith('.') && !SKIP_DIRS.has(entry.name)) {
+          walk(path, depth + 1);
+        }
+      } else if (entry.isFile() && isImagePath(entry.name)) {
+        try {
+          const { mtimeMs } = statSync(path);
+          if (mtimeMs >= sinceMs) found.push({ path, mtimeMs });
+        } catch {
+          // Vanished between readdir and stat — ignore
+        }
+      }
+    }
+  };
+
+  walk(dir, 0);
+  return found.sort((a, b) => b.mtimeMs - a.mtimeMs).map(f => f.path);
+}
@@ -0,0 +1,100 @@
+// List pager — splits long interactive lists into pages WhatsApp can show
+//
+// A list message holds at most 10 rows across all its sections. Longer lists
+// are cut into pages of config.lists.pageSize rows; every page but the last
+// ends with a "More…" row whose id is a page token. Tapping it comes back as
+// an ordinary list reply, and CommandRouter rebuilds the list from the token
+// (which list, which page, and the filter it was built with).
+
+import config from './config.js';
+
+export const MAX_ROWS = 10;
+
+const TOKEN_PREFIX = 'page:';
+const MAX_ID_LENGTH = 200;         // WhatsApp row id limit
+const MAX_TITLE_LENGTH = 24;       // Row and section title limit
+const MAX_DESCRIPTION_LENGTH = 72; // Row description limit
+
+/**
+ * Encode a page token (the "More…" row id).
+ * @param {string} list - Which list to rebuild (e.g. 'open', 'kill')
+ * @param {number} page - Zero-based page to show
+ * @param {string} filter - Filter the list was built with
+ */
+export function encodePageToken(list, page, filter = '') {
+  const token = `${TOKEN_PREFIX}${list}:${page}:${encodeURIComponent(filter)}`;
+  // A filter too long to carry is dropped rather than corrupted
+  return token.length <= MAX_ID_LENGTH ? token : `${TOKEN_PREFIX}${list}:${page}:`;
+}
+
+/**
+ * Decode a button/list reply id as a page token.
+ * @returns {{list: string, page: number, filter: string}|null} null if not a page token
+ */
+export function decodePageToken(id) {
+  if (!id?.startsWith(TOKEN_PREFIX)) return null;
+
+  const match = id.slice(TOKEN_PREFIX.length).match(/^([\w-]+):(\d+):(.*)$/);
+  if (!match) return null;
+
+  try {
+    return { list: match[1], page: Number(match[2]), filter: decodeURIComponent(match[3]) };
+  } catch {
+    return null; // Malformed escape sequence
+  }
+}
+
+/**
+ * Cut one page out of a list and lay it out as WhatsApp list sections.
+ * Consecutive items with the same `section` share a section; items without
+ * one go under `title`. The page is clamped, since the list may have shrunk
+ * since the "More…" row was sent.
+ * @param {Array<{id: string, title: string, description?: string, section?: string}>} items
+ * @param {{list: string, page?: number, filter?: string, title?: string, pageSize?: number}} options
+ * @returns {{sections: Array, page: number, pageCount: number, total: number, rows: Array}}
+ *   rows — the items shown on this page (without "More…")
+ */
+export function paginate(items, { list, page = 0, filter = '', title = 'Items', pageSize = config.lists.pageSize }) {
+  const total = items.length;
+
+  // Everything fits — one page, no "More…" row
+  const size = total <= MAX_ROWS ? MAX_ROWS : Math.min(Math.max(pageSize, 1), MAX_ROWS - 1);
+  const pageCount = Math.max(Math.ceil(total / size), 1);
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const rows = items.slice(current * size, (current + 1) * size);
+
+  const sections = [];
+  for (const item of rows) {
+    const sectionTitle = clip(item.section || title, MAX_TITLE_LENGTH);
+    if (sections.at(-1)?.title !== sectionTitle) {
+      sections.push({ title: sectionTitle, rows: [] });
+    }
+    sections.at(-1).rows.push({
+      id: item.id,
+      title: clip(item.title, MAX_TITLE_LENGTH),
+      description: clip(item.description || '', MAX_DESCRIPTION_LENGTH),
+    });
+  }
+
+  if (current < pageCount - 1) {
+    const from = (current + 1) * size + 1;
+    const to = Math.min((current + 2) * size, total);
+    const more = {
+      id: encodePageToken(list, current + 1, filter),
+      title: 'More…',
+      description: `${from}–${to} of ${total}`,
+    };
+    // Grouped lists get a section of their own, so "More…" doesn't read as a member of the last group
+    if (rows.some(item => item.section)) {
+      sections.push({ title: 'More', rows: [more] });
+    } else {
+      sections.at(-1).rows.push(more);
+    }
+  }
+
+  return { sections, page: current, pageCount, total, rows };
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
@@ -0,0 +1,101 @@
+// Message dedupe — drops retried or late WhatsApp webhook deliveries
+//
+// Responsibilities:
+// - Remember processed WhatsApp message ids (wamid) with a TTL
+// - Ignore late out-of-order deliveries (older than the sender's newest processed message)
+// - Persist to a JSON file so retries after a PM2 restart are still caught
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import config from './config.js';
+
+const DATA_DIR = join(process.cwd(), 'data');
+const DEDUPE_PATH = join(DATA_DIR, 'seen-messages.json');
+
+export class MessageDedupe {
+  /**
+   * @param {string} filePath - JSON file to persist seen ids (default: data/seen-messages.json)
+   * @param {number} ttlMs - How long to remember a message id
+   */
+  constructor(filePath = DEDUPE_PATH, ttlMs = config.dedupe.ttlMs) {
+    this._path = filePath;
+    this._ttlMs = ttlMs;
+    this._ensureDataDir();
+    this._store = this._loadStore();
+    this._prune();
+  }
+
+  /**
+   * Check whether a message should be processed, and record it if so.
+   * @param {{id: string, from: string, timestamp: string|number}} message - WhatsApp message
+   * @returns {{accepted: boolean, reason?: string}} reason is 'duplicate', 'late' or 'expired' when dropped
+   */
+  check({ id, from, timestamp }) {
+    const now = Date.now();
+    const sentAt = timestamp ? Number(timestamp) * 1000 : now;
+
+    if (id && this._store.seen[id]) {
+      return { accepted: false, reason: 'duplicate' };
+    }
+
+    // Older than our memory window — we can't tell whether it's a replay
+    if (now - sentAt > this._ttlMs) {
+      return { accepted: false, reason: 'expired' };
+    }
+
+    // Late out-of-order delivery — a newer message from this sender already ran
+    const latest = this._store.latest[from];
+    if (latest && sentAt < latest) {
+      return { accepted: false, reason: 'late' };
+    }
+
+    if (id) this._store.seen[id] = now;
+    if (from) this._store.latest[from] = Math.max(latest || 0, sentAt);
+
+    this._prune();
+    this._saveStore();
+
+    return { accepted: true };
+  }
+
+  // --- Internal methods ---
+
+  /**
+   * Drop ids older than the TTL so the file doesn't grow unbounded.
+   */
+  _prune() {
+    const cutoff = Date.now() - this._ttlMs;
+    for (const [id, seenAt] of Object.entries(this._store.seen)) {
+      if (seenAt < cutoff) delete this._store.seen[id];
+    }
+  }
+
+  _ensureDataDir() {
+    const dir = dirname(this._path);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  _loadStore() {
+    if (!existsSync(this._path)) {
+      return { seen: {}, latest: {} };
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this._path, 'utf-8'));
+      return { seen: data.seen || {}, latest: data.latest || {} };
+    } catch (err) {
+      console.error('[dedupe] Failed to load store, starting fresh:', err.message);
+      return { seen: {}, latest: {} };
+    }
+  }
+
+  _saveStore() {
+    try {
+      writeFileSync(this._path, JSON.stringify(this._store, null, 2), 'utf-8');
+    } catch (err) {
+      console.error('[dedupe] Failed to save store:', err.message);
+    }
+  }
+}
@@ -0,0 +1,22 @@
+// Message labels — small display helpers shared by the bridge and the transports
+//
+// Kept free of transport state so the transport-agnostic bridge can use them
+// without loading any adapter (and the data/ stores those create at import).
+
+/**
+ * Log-friendly label for a message without text.
+ */
+export function describeNonText({ media, reaction, buttonReplyId }) {
+  if (media) return `[${media.type}]`;
+  if (reaction) return `[reaction ${reaction.emoji} on ${reaction.messageId}]`;
+  return `[button: ${buttonReplyId}]`;
+}
+
+/**
+ * Human-readable byte size (e.g. "1.5 MB").
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,95 @@
+// Send queue — ordered, rate-limited outbound delivery per recipient
+//
+// Responsibilities:
+// - One FIFO per recipient: messages arrive in the order they were sent,
+//   even when callers fire-and-forget (chunks, acks, tool notices)
+// - Space consecutive sends to the same recipient by minIntervalMs
+// - Report queue depth for /status and the health endpoint
+//
+// Retrying is the task's job — a task that's retrying simply holds its place
+// at the head of the queue, so nothing behind it overtakes it.
+
+import config from './config.js';
+
+export class SendQueue {
+  /**
+   * @param {{minIntervalMs: number}} options - Read on every send, so changes apply live
+   */
+  constructor(options = config.outbound) {
+    this._options = options;
+
+    // Map of recipient → { items: [{ task, resolve, reject }], running, lastSentAt }
+    this._queues = new Map();
+  }
+
+  /**
+   * Queue a send for a recipient. Tasks for the same recipient run one at a
+   * time, in enqueue order. Enqueueing is synchronous — call order is queue order.
+   * @param {string} recipient - Recipient phone number
+   * @param {() => Promise<any>} task - Performs the send
+   * @returns {Promise<any>} Settles with the task's result
+   */
+  enqueue(recipient, task) {
+    let queue = this._queues.get(recipient);
+    if (!queue) {
+      queue = { items: [], running: false, lastSentAt: 0 };
+      this._queues.set(recipient, queue);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      queue.items.push({ task, resolve, reject });
+    });
+
+    if (!queue.running) {
+      this._drain(recipient, queue);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Number of queued (including in-flight) sends — for one recipient, or all.
+   */
+  depth(recipient = null) {
+    if (recipient) {
+      return this._queues.get(recipient)?.items.length || 0;
+    }
+    let total = 0;
+    for (const queue of this._queues.values()) {
+      total += queue.items.length;
+    }
+    return total;
+  }
+
+  // --- Internal methods ---
+
+  async _drain(recipient, queue) {
+    queue.running = true;
+
+    while (queue.items.length > 0) {
+      // Throttle — keep a minimum gap between sends to the same recipient
+      const wait = queue.lastSentAt + this._options.minIntervalMs - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+
+      // Leave the item in the queue while it runs so depth() counts it
+      const { task, resolve, reject } = queue.items[0];
+      try {
+        resolve(await task());
+      } catch (err) {
+        reject(err);
+      } finally {
+        queue.items.shift();
+        queue.lastSentAt = Date.now();
+      }
+    }
+
+    queue.running = false;
+    this._queues.delete(recipient);
+  }
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,36 +1,87 @@
 // Session manager — manages Claude SDK sessions with output pipeline
-// Pipeline: ClaudeSession → ContentProcessor → WhatsAppFormatter → sendMessage
+// Pipeline: ClaudeSession → ContentProcessor → WhatsAppFormatter → transport.sendText
 
 import { ClaudeSession } from './claude-session.js';
 import { ContentProcessor } from './content-processor.js';
 import { WhatsAppFormatter } from './wa-formatter.js';
 import { CostTracker } from './cost-tracker.js';
+import { formatDuration } from './conversation-window.js';
+import { parseGitCommand, runGit, formatGitResult } from './git-commands.js';
+import { getUser, can, usersWithPermission } from './users.js';
 import config from './config.js';
-import { resolve } from 'path';
+import { resolve, relative, extname } from 'path';
 import { existsSync } from 'fs';
+import { readFile, stat } from 'fs/promises';
+
+// Per-session output modes — see config.output.mode
+export const OUTPUT_MODES = {
+  brief: 'long output summarized',
+  verbose: 'full output, nothing summarized',
+  quiet: 'final answer only, no tool notices',
+};
+
+// Per-session permission modes (/mode) — names as typed; bypass is the SDK's
+// bypassPermissions. See config.claude.permissionMode
+export const PERMISSION_MODES = {
+  plan: 'Claude plans first, nothing changes until you approve the plan',
+  default: 'edits and commands ask for approval',
+  acceptEdits: 'edits go ahead, commands ask for approval',
+  bypass: 'everything runs without asking',
+};
 
 export class SessionManager {
-  constructor(sendMessage, sendButtons, sendList) {
-    // Callbacks to send WhatsApp replies
-    this.sendMessage = sendMessage;
-    this.sendButtons = sendButtons;
-    this.sendList = sendList;
+  /**
+   * @param {import('./transport.js').Transport} transport - Chat transport that
+   *   delivers output (WhatsApp, local console/HTTP...). All sends take the
+   *   recipient first; origin ({ project, sessionId }) is recorded for
+   *   quoted-reply routing. Media sends reject on failure.
+   * @param {{query?: Function}} sessionOptions - Passed to every ClaudeSession (see there)
+   */
+  constructor(transport, sessionOptions = {}) {
+    this.transport = transport;
+    this.sessionOptions = sessionOptions;
 
-    // Map of projectName → { session, processor, formatter }
+    // Map of projectName → { session, processor, formatter, replyTo, typingTimer, outputMode, quietText, queue }
+    // replyTo is the user whose prompt the session is answering; quietText is
+    // the latest text held back in quiet mode until the query ends; queue holds
+    // prompts ({ userId, prompt, text }) sent while the session was busy
     this.sessions = new Map();
 
-    // Currently active project name (messages route here)
-    this.activeProject = null;
+    // Map of user number → { activeProject, pendingAttachments }
+    // Each user has their own active project (messages route here) and their
+    // own content blocks (e.g. uncaptioned images) waiting for the next prompt
+    this.users = new Map();
 
     // Cost tracker for API usage monitoring
     this.costTracker = new CostTracker();
+
+    // Mutating /git commands waiting for a tap on Run/Cancel:
+    // id → { userId, target, command, timer }
+    this.gitConfirmations = new Map();
+    this._gitSeq = 0;
+
+    // Switches to bypass mode waiting for a tap on Switch/Cancel:
+    // id → { userId, target, timer }
+    this.modeConfirmations = new Map();
+    this._modeSeq = 0;
+  }
+
+  /**
+   * A user's active project name, or null.
+   */
+  getActiveProject(userId) {
+    return this._userState(userId).activeProject;
   }
 
   /**
-   * Open (or switch to) a project session.
+   * Open (or switch to) a project session for a user.
    * Creates a new ClaudeSession if one doesn't exist for this project.
    */
-  open(projectName) {
+  open(userId, projectName, {
+    outputMode = config.output.mode,
+    model = config.claude.model,
+    permissionMode = config.claude.permissionMode,
+  } = {}) {
     const projectDir = this.resolveProjectDir(projectName);
     if (!projectDir || !existsSync(projectDir)) {
       return `Project not found: "${projectName}" — no directory at ${projectDir || 'unknown'}`;
@@ -38,41 +89,51 @@ export class SessionManager {
 
     // If session already exists, just switch to it
     if (this.sessions.has(projectName)) {
-      this.activeProject = projectName;
+      this._userState(userId).activeProject = projectName;
       const entry = this.sessions.get(projectName);
       const state = entry.session.isActive ? 'active' : 'idle';
       return `Switched to ${projectName} (${state})`;
     }
 
     // Create Claude SDK session
-    const session = new ClaudeSession(projectName, projectDir);
+    const session = new ClaudeSession(projectName, projectDir, { ...this.sessionOptions, model, permissionMode });
     const processor = new ContentProcessor();
     const formatter = new WhatsAppFormatter(config.output.maxMessageLength);
+    const entry = { session, processor, formatter, replyTo: userId, typingTimer: null, outputMode, quietText: '', queue: [] };
 
-    // Wire session events → processing pipeline → WhatsApp
+    // Wire session events → processing pipeline → WhatsApp.
+    // Output goes to entry.replyTo — whoever sent the prompt being answered.
+    // Every send carries its origin so quoted replies can be routed back here.
+    const origin = () => ({ project: projectName, sessionId: session.sessionId });
 
-    // Buffered text chunks — process and send
+    // Buffered text chunks — process and send, per the session's output mode.
+    // In quiet mode only the text after the last tool use is kept, and sent
+    // once the query ends (see 'idle' below).
     session.on('text-chunk', (text) => {
-      const processed = processor.summarize(text);
-      if (!processed) return;
-
-      const formatted = formatter.format(processed);
-      const tagged = formatter.addProjectTag(formatted, projectName);
-      const chunks = formatter.split(tagged);
-      for (const chunk of chunks) {
-        this.sendMessage(chunk);
+      if (entry.outputMode === 'quiet') {
+        entry.quietText = entry.quietText ? `${entry.quietText}\n\n${text}` : text;
+        return;
       }
+      this._sendOutput(entry, projectName, text, origin());
     });
 
-    // Tool-use notifications — send concise status
+    // Tool-use notifications — send concise status (not in quiet mode, where
+    // any text so far was working-out, not the answer)
     session.on('tool-start', ({ description }) => {
+      if (entry.outputMode === 'quiet') {
+        entry.quietText = '';
+        return;
+      }
       const tagged = formatter.addProjectTag(`_${description}_`, projectName);
-      this.sendMessage(tagged);
+      this.transport.sendText(entry.replyTo, tagged, origin());
     });
 
     // Bash approval requests — relay to WhatsApp with interactive buttons.
     // WhatsApp button body text has a 1024 char limit — truncate long commands.
-    session.on('approval-needed', ({ description }) => {
+    session.on('approval-needed', ({ approvalId, description, plan = null, mode = session.permissionMode }) => {
+      entry.quietText = '';
+      const header = `*[ACTION NEEDED]* _(mode: ${modeName(mode)})_`;
+
       // Truncate command description to fit within WhatsApp's 1024 char body limit.
       // Reserve space for the prefix text and project tag.
       const maxDescLen = 900;
@@ -80,103 +141,274 @@ export class SessionManager {
         ? description.slice(0, maxDescLen) + '..._'
         : description;
 
-      const message = `*[ACTION NEEDED]*\n\nClaude wants to run:\n${truncDesc}`;
+      let message = `${header}\n\nClaude wants to run:\n${truncDesc}`;
+      let buttons = [
+        { id: `approve_${approvalId}_${projectName}`, title: '✓ Approve' },
+        { id: `deny_${approvalId}_${projectName}`, title: '✗ Deny' },
+      ];
+      let hint = 'Reply /yes to approve or /no to deny.';
+      // A plan too long for the button body goes out on its own, just before it
+      let planChunks = [];
+
+      if (plan !== null) {
+        const planText = formatter.format(plan.trim() || '(empty plan)');
+        message = `${header}\n\nClaude's plan:\n\n${planText}`;
+        if (formatter.addProjectTag(message, projectName).length > 1024) {
+          planChunks = formatter.split(formatter.addProjectTag(`*Claude's plan:*\n\n${planText}`, projectName));
+          message = `${header}\n\nClaude has a plan (above) and wants to start on it.`;
+        }
+        buttons = [
+          { id: `approve_${approvalId}_${projectName}`, title: '✓ Approve plan' },
+          { id: `plankeep_${approvalId}_${projectName}`, title: '✎ Keep planning' },
+          { id: `deny_${approvalId}_${projectName}`, title: '✗ Reject' },
+        ];
+        hint = 'Reply /yes to approve the plan or /no to reject it.';
+      }
       const tagged = formatter.addProjectTag(message, projectName);
 
-      this.sendButtons(
-        tagged,
-        [
-          { id: `approve_${projectName}`, title: '✓ Approve' },
-          { id: `deny_${projectName}`, title: '✗ Deny' },
-        ]
-      ).catch(err => {
-        // Fallback to text if buttons fail — still needs approval via /yes or /no
-        console.error('[session] Failed to send buttons:', err.message);
-        const fallback = `*[ACTION NEEDED]*\n\nClaude wants to run:\n${truncDesc}\n\nReply /yes to approve or /no to deny.`;
-        const taggedFallback = formatter.addProjectTag(fallback, projectName);
-        this.sendMessage(taggedFallback);
-      });
+      // Only users allowed to approve get the prompt
+      const approvers = this._approversFor(entry.replyTo);
+      if (approvers.length === 0) {
+        console.warn(`[session] ${projectName} — no user can approve, denying`);
+        session.resolvePendingApproval(false, approvalId);
+        this.transport.sendText(entry.replyTo, formatter.addProjectTag('_Action needs approval, but no approver is configured — denied._', projectName), origin());
+        return;
+      }
+
+      for (const approver of approvers) {
+        for (const chunk of planChunks) {
+          this.transport.sendText(approver, chunk, origin());
+        }
+        this.transport.sendButtons(approver, tagged, buttons, { ...origin(), approvalId }).catch(err => {
+          // Fallback to text if buttons fail — still needs approval via /yes or /no
+          console.error('[session] Failed to send buttons:', err.message);
+          const taggedFallback = formatter.addProjectTag(`${message}\n\n${hint}`, projectName);
+          this.transport.sendText(approver, taggedFallback, { ...origin(), approvalId });
+        });
+      }
+
+      // Someone else has to approve — let the requester know it's waiting
+      if (!approvers.includes(entry.replyTo)) {
+        this.transport.sendText(entry.replyTo, formatter.addProjectTag('_Waiting for an admin to approve..._', projectName), origin());
+      }
+    });
+
+    // Typing indicator while the query runs — paused while waiting on an
+    // approval, since then it's the user's move, not Claude's
+    const typing = () => {
+      if (!session.hasPendingApproval) {
+        Promise.resolve(this.transport.showTyping?.(entry.replyTo)).catch(() => {});
+      }
+    };
+    session.on('busy', () => {
+      clearInterval(entry.typingTimer);
+      typing();
+      entry.typingTimer = setInterval(typing, config.presence.typingRefreshMs);
+    });
+    session.on('idle', () => {
+      clearInterval(entry.typingTimer);
+      entry.typingTimer = null;
+
+      // Quiet mode — the query's final answer
+      if (entry.quietText) {
+        const text = entry.quietText;
+        entry.quietText = '';
+        this._sendOutput(entry, projectName, text, origin());
+      }
+
+      // Next queued prompt — after send() has fully unwound
+      setImmediate(() => this._runQueued(entry, projectName));
+    });
+
+    // Images Claude wrote or mentioned — relayed once the query's text is out
+    session.on('images', ({ paths, skipped }) => {
+      this._sendImages(entry, entry.replyTo, projectName, paths, skipped, origin());
     });
 
     // Query complete — record cost
-    session.on('done', ({ turns, cost }) => {
-      console.log(`[session] ${projectName} — query complete (${turns} turns, $${cost?.toFixed(4) || '?'})`);
-      this.costTracker.recordQuery(projectName, { turns, cost });
+    session.on('done', ({ turns, cost, model }) => {
+      console.log(`[session] ${projectName} — query complete (${turns} turns, $${cost?.toFixed(4) || '?'}, ${model})`);
+      this.costTracker.recordQuery(projectName, { turns, cost, model });
     });
 
     // Approval timed out — notify user it was auto-denied
     session.on('approval-timeout', ({ description }) => {
       const message = `*[TIMEOUT]* Approval expired after 5 min — auto-denied:\n${description}`;
       const tagged = formatter.addProjectTag(message, projectName);
-      this.sendMessage(tagged);
+      this.transport.sendText(entry.replyTo, tagged, origin());
     });
 
     // Query timed out — the whole query hit the wall-clock limit
     session.on('timeout', () => {
       const message = `*[TIMEOUT]* Query exceeded 10 min limit and was aborted. Send another message to continue.`;
       const tagged = formatter.addProjectTag(message, projectName);
-      this.sendMessage(tagged);
+      this.transport.sendText(entry.replyTo, tagged, origin());
     });
 
     // Errors
     session.on('error', (err) => {
       const message = `*[ERROR]* ${err.message}`;
       const tagged = formatter.addProjectTag(message, projectName);
-      this.sendMessage(tagged);
+      this.transport.sendText(entry.replyTo, tagged, origin());
     });
 
     // Interrupted
     session.on('interrupted', () => {
       const message = `_Interrupted._`;
       const tagged = formatter.addProjectTag(message, projectName);
-      this.sendMessage(tagged);
+      this.transport.sendText(entry.replyTo, tagged, origin());
     });
 
     // Store and activate
-    this.sessions.set(projectName, { session, processor, formatter });
-    this.activeProject = projectName;
+    this.sessions.set(projectName, entry);
+    this._userState(userId).activeProject = projectName;
 
     return `Opened ${projectName} — Claude Code ready in ${projectDir}. Send a message to start.`;
   }
 
   /**
-   * Send a message to the active Claude session.
+   * Queue a content block (image, etc.) to be sent with a user's next relayed prompt.
+   * @param {string} userId - User number
+   * @param {object} block - Anthropic content block
+   * @returns {number} Number of attachments now pending for that user
+   */
+  attach(userId, block) {
+    const state = this._userState(userId);
+    state.pendingAttachments.push(block);
+    return state.pendingAttachments.length;
+  }
+
+  /**
+   * Number of content blocks waiting for a user's next prompt.
+   */
+  pendingAttachments(userId) {
+    return this._userState(userId).pendingAttachments.length;
+  }
+
+  /**
+   * Drop a user's pending attachments (e.g. a discarded draft).
+   * @returns {number} How many were dropped
+   */
+  clearAttachments(userId) {
+    const state = this._userState(userId);
+    const count = state.pendingAttachments.length;
+    state.pendingAttachments = [];
+    return count;
+  }
+
+  /**
+   * Send a message to the user's active Claude session — or to projectName's
+   * session (quoted replies), without changing the active project.
+   * Any pending attachments are sent with it as a multimodal prompt.
+   * The session's output is then delivered to this user.
    * Returns null — response comes asynchronously via events.
    */
-  relay(text) {
-    if (!this.activeProject) {
+  relay(userId, text, projectName = null) {
+    const state = this._userState(userId);
+    const target = projectName || state.activeProject;
+    if (!target) {
       return 'No active session. Use /open <project> to start one.';
     }
 
-    const entry = this.sessions.get(this.activeProject);
+    const entry = this.sessions.get(target);
     if (!entry) {
-      return 'Session not found. Use /open <project> to start one.';
+      return projectName
+        ? `The quoted message came from ${projectName}, which has no open session. Use /open ${projectName} to start one.`
+        : 'Session not found. Use /open <project> to start one.';
     }
 
-    if (entry.session.isActive) {
-      return `${this.activeProject} is still working on the previous message. Wait for it to finish or /cancel.`;
+    // Busy (or others already waiting) — the prompt joins the queue
+    const busy = entry.session.isActive || entry.queue.length > 0;
+    if (busy && entry.queue.length >= config.claude.maxQueuedPrompts) {
+      return `${target}'s queue is full (${entry.queue.length} waiting). Wait for it to drain, or /queue clear.`;
     }
 
-    console.log(`[session] Sending to ${this.activeProject}: "${text.slice(0, 80)}"`);
-
-    // Send acknowledgment immediately — SDK cold start can take a few seconds
-    const ack = entry.formatter.addProjectTag(`_Working on it..._`, this.activeProject);
-    this.sendMessage(ack);
+    // Consume attachments only once we know the prompt will actually be sent
+    let prompt = text;
+    if (state.pendingAttachments.length > 0) {
+      prompt = [...state.pendingAttachments, { type: 'text', text }];
+      state.pendingAttachments = [];
+    }
 
-    // Fire off the query (async — events will deliver the response)
-    entry.session.send(text).catch((err) => {
-      console.error(`[session] ${this.activeProject} send error:`, err.message);
-      this.sendMessage(`*[ERROR]* Failed to send: ${err.message}`);
-    });
+    if (busy) {
+      entry.queue.push({ userId, prompt, text });
+      console.log(`[session] Queued for ${target} (#${entry.queue.length}): "${text.slice(0, 80)}"`);
+      const ack = `_Queued as #${entry.queue.length} — runs when the current task finishes. /queue to manage._`;
+      this.transport.sendText(userId, entry.formatter.addProjectTag(ack, target), { project: target, sessionId: entry.session.sessionId });
+      return null;
+    }
 
+    this._dispatch(entry, target, { userId, prompt, text });
     return null; // Response comes via events
   }
 
   /**
-   * Approve or deny a pending Bash command for the active session.
+   * Show the prompts waiting for the active session (or projectName's).
+   */
+  showQueue(userId, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    if (entry.queue.length === 0) {
+      return entry.formatter.addProjectTag('_Queue is empty._', target);
+    }
+
+    const lines = [`*Queue* (${entry.queue.length}):`];
+    entry.queue.forEach((item, i) => lines.push(`${i + 1}. ${describeQueued(item)}`));
+    return entry.formatter.addProjectTag(lines.join('\n'), target);
+  }
+
+  /**
+   * Remove one queued prompt by its 1-based position.
+   */
+  dropQueued(userId, position, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    if (!isPosition(position, entry.queue.length)) {
+      return `No queued prompt #${position} for ${target} (${entry.queue.length} waiting).`;
+    }
+
+    const [item] = entry.queue.splice(position - 1, 1);
+    return entry.formatter.addProjectTag(`_Dropped #${position}: ${describeQueued(item)}_`, target);
+  }
+
+  /**
+   * Move a queued prompt from one 1-based position to another.
+   */
+  moveQueued(userId, from, to, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    const length = entry.queue.length;
+    if (!isPosition(from, length) || !isPosition(to, length)) {
+      return `Positions must be between 1 and ${length} for ${target}.`;
+    }
+
+    const [item] = entry.queue.splice(from - 1, 1);
+    entry.queue.splice(to - 1, 0, item);
+    return this.showQueue(userId, target);
+  }
+
+  /**
+   * Drop every queued prompt.
+   */
+  clearQueue(userId, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    const count = entry.queue.length;
+    entry.queue = [];
+    return entry.formatter.addProjectTag(`_Cleared ${count} queued prompt${count === 1 ? '' : 's'}._`, target);
+  }
+
+  /**
+   * Approve or deny a pending Bash command (or plan) for the active session.
+   * @param {boolean|'keep'} approved - 'keep' sends a plan back for more planning
+   * @param {number} approvalId - Only resolve this specific approval (reactions on old prompts)
    */
-  approveAction(approved, projectName = null) {
-    const target = projectName || this.activeProject;
+  approveAction(userId, approved, projectName = null, approvalId = null) {
+    const target = projectName || this.getActiveProject(userId);
     if (!target) {
       return 'No active session.';
     }
@@ -186,34 +418,44 @@ export class SessionManager {
       return `No session found for "${target}".`;
     }
 
-    const resolved = entry.session.resolvePendingApproval(approved);
+    const isPlan = entry.session.pendingApprovalTool === 'ExitPlanMode';
+    if (approved === 'keep' && !isPlan) {
+      return `No plan waiting for approval in ${target}.`;
+    }
+
+    const resolved = entry.session.resolvePendingApproval(approved, approvalId);
     if (!resolved) {
-      return `No pending approval for ${target}.`;
+      return approvalId !== null
+        ? `That approval for ${target} is no longer pending.`
+        : `No pending approval for ${target}.`;
     }
 
-    const label = approved ? '_Approved._' : '_Denied._';
+    const label = !isPlan ? (approved ? '_Approved._' : '_Denied._')
+      : approved === 'keep' ? '_Keep planning — reply with what to change._'
+        : approved ? '_Plan approved — Claude is starting on it._' : '_Plan rejected._';
     return entry.formatter.addProjectTag(label, target);
   }
 
   /**
-   * Interrupt the current query on the active session.
+   * Interrupt the current query on the active session (or projectName's).
    */
-  async cancel() {
-    if (!this.activeProject) {
+  async cancel(userId, projectName = null) {
+    const target = projectName || this.getActiveProject(userId);
+    if (!target) {
       return 'No active session.';
     }
 
-    const entry = this.sessions.get(this.activeProject);
+    const entry = this.sessions.get(target);
     if (!entry) {
-      return 'No active session.';
+      return projectName ? `No session found for "${projectName}".` : 'No active session.';
     }
 
     if (!entry.session.isActive) {
-      return `${this.activeProject} is idle — nothing to cancel.`;
+      return `${target} is idle — nothing to cancel.`;
     }
 
     await entry.session.interrupt();
-    return `Cancelling ${this.activeProject}...`;
+    return `Cancelling ${target}...`;
   }
 
   /**
@@ -230,10 +472,14 @@ export class SessionManager {
       entry.session.interrupt();
     }
     entry.session.removeAllListeners();
+    clearInterval(entry.typingTimer);
     this.sessions.delete(projectName);
 
-    if (this.activeProject === projectName) {
-      this.activeProject = null;
+    // Nobody can stay pointed at a dead session
+    for (const state of this.users.values()) {
+      if (state.activeProject === projectName) {
+        state.activeProject = null;
+      }
     }
 
     return `Killed session: ${projectName}`;
@@ -242,8 +488,8 @@ export class SessionManager {
   /**
    * Restart a project session (kill + re-open).
    */
-  restart(projectName) {
-    const target = projectName || this.activeProject;
+  restart(userId, projectName) {
+    const target = projectName || this.getActiveProject(userId);
     if (!target) {
       return 'No project specified and no active session.';
     }
@@ -252,60 +498,494 @@ export class SessionManager {
       return `No session found for: ${target}. Use /open ${target} to create one.`;
     }
 
+    // Preferences set on the session outlive the restart
+    const { outputMode, session } = this.sessions.get(target);
     this.kill(target);
-    return this.open(target);
+    return this.open(userId, target, { outputMode, model: session.model, permissionMode: session.permissionMode });
   }
 
   /**
-   * List all sessions with their state.
+   * List all sessions with their state. `>` marks the user's active session.
    */
-  list() {
+  list(userId) {
     if (this.sessions.size === 0) {
       return 'No active sessions. Use /open <project> to start one.';
     }
 
     const lines = ['*Active sessions:*\n'];
     for (const [name, entry] of this.sessions) {
-      const marker = name === this.activeProject ? '> ' : '  ';
+      const marker = name === this.getActiveProject(userId) ? '> ' : '  ';
       const state = entry.session.isActive ? 'working' : 'idle';
       const sid = entry.session.sessionId ? ` (${entry.session.sessionId.slice(0, 8)}...)` : '';
-      lines.push(`${marker}*${name}* — ${state}${sid}`);
+      const queued = entry.queue.length ? `, ${entry.queue.length} queued` : '';
+      lines.push(`${marker}*${name}* — ${state}, ${entry.outputMode}, ${entry.session.model}${queued}${sid}`);
     }
 
     return lines.join('\n');
   }
 
   /**
-   * Get system status.
+   * Get system status, from one user's point of view.
    */
-  status() {
+  status(userId) {
     const uptime = Math.floor(process.uptime());
     const mem = Math.round(process.memoryUsage().rss / 1024 / 1024);
     const sessions = this.sessions.size;
+    const active = this.getActiveProject(userId);
+    const entry = this.sessions.get(active);
 
-    return [
+    const lines = [
       '*wa-claude status*',
       `Uptime: ${uptime}s`,
       `Memory: ${mem}MB`,
       `Sessions: ${sessions}`,
-      `Active: ${this.activeProject || 'none'}`,
-      `Model: ${config.claude.model}`,
-      `Permission: ${config.claude.permissionMode}`,
-    ].join('\n');
+      `Active: ${active || 'none'}`,
+      `Output: ${entry?.outputMode || config.output.mode}`,
+      `Users: ${this.users.size}`,
+      `Model: ${entry?.session.model || config.claude.model}`,
+      `Permission: ${modeName(entry?.session.permissionMode || config.claude.permissionMode)}`,
+    ];
+
+    // Transport-specific lines — only shown where the transport has them
+    if (this.transport.getQueueDepth) {
+      lines.push(`Outbound queue: ${this.transport.getQueueDepth(userId)} for you, ${this.transport.getQueueDepth()} total`);
+    }
+    if (this.transport.getWindowRemaining) {
+      lines.push(`Chat window: ${describeWindow(this.transport.getWindowRemaining(userId))}`);
+    }
+
+    return lines.join('\n');
   }
 
   /**
-   * Get last full (unsummarized) output for the active session.
+   * Set the output mode of the active session (or projectName's).
+   * @param {'brief'|'verbose'|'quiet'} mode - See OUTPUT_MODES
    */
-  getFullOutput() {
-    if (!this.activeProject) {
+  setOutputMode(userId, mode, projectName = null) {
+    const target = projectName || this.getActiveProject(userId);
+    if (!target) {
       return 'No active session.';
     }
 
-    const entry = this.sessions.get(this.activeProject);
+    const entry = this.sessions.get(target);
+    if (!entry) {
+      return `No session found for "${target}".`;
+    }
+
+    entry.outputMode = mode;
+    return entry.formatter.addProjectTag(`Output: *${mode}* — ${OUTPUT_MODES[mode]}.`, target);
+  }
+
+  /**
+   * Switch the model of the active session (or projectName's). Takes effect
+   * from the next query; the conversation itself carries on.
+   * @param {string} model - An alias from config.claude.models, or a full model id
+   */
+  setModel(userId, model, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    const name = model.trim();
+    if (!isModelName(name)) {
+      return `Unknown model "${name}". Use ${config.claude.models.join(', ')} or a full model id (claude-...).`;
+    }
+
+    entry.session.model = name;
+    const when = entry.session.isActive ? ' — from the next message (the current one keeps its model)' : '';
+    return entry.formatter.addProjectTag(`Model: *${name}*${when}.`, target);
+  }
+
+  /**
+   * /model with no argument — the current model, with a button per alias.
+   * @returns {Promise<string|null>} null once the buttons are sent
+   */
+  async showModelPicker(userId, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    const current = entry.session.model;
+    const body = entry.formatter.addProjectTag(`Model: *${current}*. Pick another, or send /model <full-id>.`, target);
+    // Three buttons at most — WhatsApp's limit
+    const buttons = config.claude.models.slice(0, 3).map(alias => ({
+      id: `model_${target}:${alias}`,
+      title: alias === current ? `● ${alias}` : alias,
+    }));
+
+    try {
+      await this.transport.sendButtons(userId, body, buttons, { project: target, sessionId: entry.session.sessionId });
+      return null;
+    } catch (err) {
+      console.error('[session] Failed to send model picker:', err.message);
+      return `${body}\n\nOptions: ${config.claude.models.join(', ')}`;
+    }
+  }
+
+  /**
+   * /mode — show or switch the permission mode of the active session (or
+   * projectName's). Switching to bypass needs an admin and a confirmation tap.
+   * Takes effect from the next query.
+   * @param {string} mode - A PERMISSION_MODES name, '' to show them, or yes/no
+   *   to answer a pending bypass confirmation
+   * @returns {Promise<string|null>} null once the confirmation buttons are sent
+   */
+  async setPermissionMode(userId, mode, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    const current = modeName(entry.session.permissionMode);
+    const wanted = mode.trim().toLowerCase();
+    if (!wanted) {
+      const options = Object.entries(PERMISSION_MODES)
+        .map(([name, summary]) => `${name === current ? '●' : '•'} *${name}* — ${summary}`);
+      return entry.formatter.addProjectTag(`Mode: *${current}*\n\n${options.join('\n')}\n\n/mode <name> to switch.`, target);
+    }
+
+    // Text fallback for the confirmation buttons
+    const user = getUser(userId);
+    if (wanted === 'yes' || wanted === 'no') {
+      if (!can(user, 'approve')) return `_Not allowed — your role is ${user?.role}._`;
+      const pending = [...this.modeConfirmations.entries()].reverse()
+        .find(([, item]) => item.target === target);
+      if (!pending) return `No mode switch waiting for confirmation in ${target}.`;
+      return this.confirmMode(userId, wanted === 'yes', pending[0]);
+    }
+
+    const name = Object.keys(PERMISSION_MODES).find(m => m.toLowerCase() === wanted);
+    if (!name) {
+      return `Unknown mode "${mode.trim()}". Use ${Object.keys(PERMISSION_MODES).join(', ')}.`;
+    }
+    if (name !== 'bypass') {
+      return this._applyPermissionMode(entry, target, name);
+    }
+
+    if (!can(user, 'approve')) {
+      return `_Not allowed — bypass needs an admin; your role is ${user?.role}._`;
+    }
+
+    const id = ++this._modeSeq;
+    const timer = setTimeout(() => {
+      if (!this.modeConfirmations.delete(id)) return;
+      this.transport.sendText(userId, entry.formatter.addProjectTag(`_Confirmation expired — still in ${modeName(entry.session.permissionMode)} mode._`, target));
+    }, config.claude.approvalTimeoutMs);
+    timer.unref?.();
+    this.modeConfirmations.set(id, { userId, target, timer });
+
+    const prompt = entry.formatter.addProjectTag('*[CONFIRM]* Switch to *bypass*? Claude will run every tool, Bash included, without asking.', target);
+    try {
+      await this.transport.sendButtons(userId, prompt, [
+        { id: `modeok_${id}`, title: '✓ Switch' },
+        { id: `modeno_${id}`, title: '✗ Cancel' },
+      ], { project: target, sessionId: entry.session.sessionId });
+      return null;
+    } catch (err) {
+      console.error('[session] Failed to send mode confirmation:', err.message);
+      return `${prompt}\n\nReply /mode yes to switch or /mode no to cancel.`;
+    }
+  }
+
+  /**
+   * Switch to (or drop) a bypass mode change held for confirmation.
+   * @param {number} id - From the modeok_/modeno_ button
+   */
+  confirmMode(userId, approved, id) {
+    const pending = this.modeConfirmations.get(id);
+    if (!pending) return 'That mode switch is no longer waiting for confirmation.';
+
+    this.modeConfirmations.delete(id);
+    clearTimeout(pending.timer);
+
+    const entry = this.sessions.get(pending.target);
+    if (!entry) return `No session found for "${pending.target}".`;
+    if (!approved) {
+      return entry.formatter.addProjectTag(`_Cancelled — still in ${modeName(entry.session.permissionMode)} mode._`, pending.target);
+    }
+
+    console.log(`[session] ${pending.target} — ${userId} confirmed bypass mode`);
+    return this._applyPermissionMode(entry, pending.target, 'bypass');
+  }
+
+  _applyPermissionMode(entry, target, name) {
+    entry.session.setPermissionMode(name === 'bypass' ? 'bypassPermissions' : name);
+    const when = entry.session.isActive ? ' From the next message (the current one keeps its mode).' : '';
+    return entry.formatter.addProjectTag(`Mode: *${name}* — ${PERMISSION_MODES[name]}.${when}`, target);
+  }
+
+  /**
+   * /git — run a git shortcut in the active session's (or projectName's)
+   * project. Read-only commands run straight away; commit and push are held
+   * for a button confirmation, like Bash approvals. No Claude query either way.
+   * @param {string} argText - Everything after /git
+   * @returns {Promise<string|null>} Formatted output, or null once the confirmation is sent
+   */
+  async git(userId, argText, projectName = null) {
+    const { target, entry, error } = this._sessionFor(userId, projectName);
+    if (error) return error;
+
+    // Text fallback for the confirmation buttons
+    const user = getUser(userId);
+    const answer = argText.trim().toLowerCase();
+    if (answer === 'yes' || answer === 'no') {
+      if (!can(user, 'approve')) return `_Not allowed — your role is ${user?.role}._`;
+      const pending = [...this.gitConfirmations.entries()].reverse()
+        .find(([, item]) => item.target === target);
+      if (!pending) return `No git command waiting for confirmation in ${target}.`;
+      return this.confirmGit(userId, answer === 'yes', pending[0]);
+    }
+
+    const command = parseGitCommand(argText);
+    if (command.error) return command.error;
+
+    if (!command.mutating) {
+      const result = await runGit(entry.session.projectDir, command.argv);
+      return this._formatGit(entry, target, command.label, result);
+    }
+
+    if (!can(user, 'approve')) {
+      return `_Not allowed — ${command.action} needs an admin; your role is ${user?.role}._`;
+    }
+
+    const id = ++this._gitSeq;
+    const timer = setTimeout(() => {
+      if (!this.gitConfirmations.delete(id)) return;
+      this.transport.sendText(userId, entry.formatter.addProjectTag(`_Confirmation expired — didn't run ${command.label}._`, target));
+    }, config.claude.approvalTimeoutMs);
+    timer.unref?.();
+    this.gitConfirmations.set(id, { userId, target, command, timer });
+
+    const busy = entry.session.isActive ? '\n\n_Claude is working in this project right now._' : '';
+    const prompt = entry.formatter.addProjectTag(`*[CONFIRM]* Run \`${command.label}\`?${busy}`, target);
+    try {
+      await this.transport.sendButtons(userId, prompt, [
+        { id: `gitok_${id}`, title: '✓ Run' },
+        { id: `gitno_${id}`, title: '✗ Cancel' },
+      ], { project: target, sessionId: entry.session.sessionId });
+      return null;
+    } catch (err) {
+      console.error('[session] Failed to send git confirmation:', err.message);
+      return `${prompt}\n\nReply /git yes to run it or /git no to cancel.`;
+    }
+  }
+
+  /**
+   * Run (or drop) a mutating /git command held for confirmation.
+   * @param {number} id - From the gitok_/gitno_ button
+   */
+  async confirmGit(userId, approved, id) {
+    const pending = this.gitConfirmations.get(id);
+    if (!pending) return 'That git command is no longer waiting for confirmation.';
+
+    this.gitConfirmations.delete(id);
+    clearTimeout(pending.timer);
+
+    const entry = this.sessions.get(pending.target);
+    if (!entry) return `No session found for "${pending.target}".`;
+    if (!approved) {
+      return entry.formatter.addProjectTag(`_Cancelled ${pending.command.label}._`, pending.target);
+    }
+
+    console.log(`[session] ${pending.target} — ${userId} confirmed: ${pending.command.label}`);
+    const result = await runGit(entry.session.projectDir, pending.command.argv);
+    return this._formatGit(entry, pending.target, pending.command.label, result);
+  }
+
+  /**
+   * Get last full (unsummarized) output for the active session (or projectName's).
+   */
+  getFullOutput(userId, projectName = null) {
+    const target = projectName || this.getActiveProject(userId);
+    if (!target) {
+      return 'No active session.';
+    }
+
+    const entry = this.sessions.get(target);
     return entry?.session.getFullResponse() || '(no recent output)';
   }
 
+  /**
+   * Send the last full output for the active session (or projectName's) as a
+   * file. Returns a reply for the user, or null once the file is on its way.
+   * Falls back to the plain text if the attachment can't be sent.
+   */
+  async sendFullOutput(userId, projectName = null) {
+    const target = projectName || this.getActiveProject(userId);
+    const entry = target && this.sessions.get(target);
+    const text = this.getFullOutput(userId, projectName);
+    if (!entry || text === '(no recent output)') {
+      return text;
+    }
+
+    try {
+      await this._sendOutputFile(entry, userId, target, text, { project: target, sessionId: entry.session.sessionId });
+      return null;
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Start a query: acknowledge it, warn if the chat window may close first,
+   * and send the prompt. The prompt's sender now owns the session's output.
+   * @param {{userId: string, prompt: string|Array<object>, text: string}} item
+   * @param {boolean} queued - It waited in the queue (the ack quotes it)
+   */
+  _dispatch(entry, target, { userId, prompt, text }, queued = false) {
+    entry.replyTo = userId;
+
+    const attachNote = Array.isArray(prompt) ? ` (+${prompt.length - 1} attachment${prompt.length === 2 ? '' : 's'})` : '';
+    console.log(`[session] Sending to ${target}: "${text.slice(0, 80)}"${attachNote}`);
+
+    // Send acknowledgment immediately — SDK cold start can take a few seconds
+    const origin = { project: target, sessionId: entry.session.sessionId };
+    const ack = queued ? `_Working on queued message: "${preview(text)}"..._` : `_Working on it..._`;
+    this.transport.sendText(userId, entry.formatter.addProjectTag(ack, target), origin);
+
+    // The query could outlast the user's 24h window — say so up front
+    const windowLeft = this.transport.getWindowRemaining?.(userId) ?? null;
+    if (windowLeft !== null && windowLeft < config.claude.queryTimeoutMs) {
+      const warning = `_⚠️ Your WhatsApp chat window closes in ${formatDuration(windowLeft)}. If this runs past it, you'll get a notification and the output waits until you reply._`;
+      this.transport.sendText(userId, entry.formatter.addProjectTag(warning, target), origin);
+    }
+
+    // Fire off the query (async — events will deliver the response)
+    entry.session.send(prompt).catch((err) => {
+      console.error(`[session] ${target} send error:`, err.message);
+      this.transport.sendText(userId, `*[ERROR]* Failed to send: ${err.message}`, origin);
+    });
+  }
+
+  /**
+   * Start the next queued prompt, if the session is free and still open.
+   */
+  _runQueued(entry, target) {
+    if (this.sessions.get(target) !== entry) return; // Killed meanwhile
+    if (entry.session.isActive || entry.queue.length === 0) return;
+
+    this._dispatch(entry, target, entry.queue.shift(), true);
+  }
+
+  /**
+   * Git output through the usual formatter — only the title line is tagged,
+   * so the code block stays intact.
+   */
+  _formatGit(entry, target, label, result) {
+    const [title, ...body] = entry.formatter.format(formatGitResult(label, result)).split('\n');
+    return [entry.formatter.addProjectTag(title, target), ...body].join('\n');
+  }
+
+  /**
+   * Resolve the active session (or projectName's) for a session-scoped command.
+   * @returns {{target?: string, entry?: object, error?: string}}
+   */
+  _sessionFor(userId, projectName = null) {
+    const target = projectName || this.getActiveProject(userId);
+    if (!target) return { error: 'No active session.' };
+
+    const entry = this.sessions.get(target);
+    if (!entry) return { error: `No session found for "${target}".` };
+
+    return { target, entry };
+  }
+
+  /**
+   * Process, format and send a piece of session output per the entry's mode.
+   * Long outputs get a summary inline plus the full text as a file — except
+   * in verbose mode, where everything goes inline as-is.
+   */
+  _sendOutput(entry, projectName, text, origin) {
+    const { processor, formatter } = entry;
+    const verbose = entry.outputMode === 'verbose';
+    const attached = !verbose && processor.needsAttachment(text);
+    const processed = processor.summarize(text, { attached, passthrough: verbose });
+    if (!processed) return;
+
+    const formatted = formatter.format(processed);
+    const tagged = formatter.addProjectTag(formatted, projectName);
+    const chunks = formatter.split(tagged);
+    for (const chunk of chunks) {
+      this.transport.sendText(entry.replyTo, chunk, origin);
+    }
+
+    if (attached) {
+      this._sendOutputFile(entry, entry.replyTo, projectName, text, origin).catch(() => {
+        this.transport.sendText(entry.replyTo, formatter.addProjectTag('_Couldn\'t attach the full output — reply /full to retry._', projectName), origin);
+      });
+    }
+  }
+
+  /**
+   * Send output text as a document attachment, captioned with its size and
+   * first line so it's recognizable in the chat.
+   */
+  _sendOutputFile(entry, to, projectName, text, origin) {
+    text = text.trim();
+    const ext = config.output.attachmentFormat === 'txt' ? 'txt' : 'md';
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+    const lineCount = text.split('\n').length;
+    const firstLine = text.split('\n').find(line => line.trim())?.trim() || '';
+    const preview = firstLine.length > 200 ? firstLine.slice(0, 200) + '...' : firstLine;
+
+    return this.transport.sendDocument(to, {
+      // WhatsApp doesn't accept text/markdown — .md files go out as plain text
+      buffer: Buffer.from(text, 'utf8'),
+      filename: `${projectName}-${stamp}.${ext}`,
+      mimeType: 'text/plain',
+      caption: `${entry.formatter.addProjectTag(`Full output — ${lineCount} lines, ${text.length} chars`, projectName)}\n\n${preview}`,
+    }, origin);
+  }
+
+  /**
+   * Send image files as WhatsApp images, captioned with their project-relative
+   * path. Oversized files are skipped; the user is told what didn't make it.
+   */
+  async _sendImages(entry, to, projectName, paths, skipped, origin) {
+    const { formatter, session: { projectDir } } = entry;
+    const notes = [];
+
+    for (const path of paths) {
+      const name = relative(projectDir, path);
+      try {
+        const { size } = await stat(path);
+        if (size > config.images.maxBytes) {
+          notes.push(`${name} is too large to send`);
+          continue;
+        }
+
+        const buffer = await readFile(path);
+        const mimeType = extname(path).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
+        await this.transport.sendImage(to, { buffer, filename: name, mimeType, caption: formatter.addProjectTag(name, projectName) }, origin);
+      } catch (err) {
+        console.error(`[session] ${projectName} — failed to relay image ${name}:`, err.message);
+        notes.push(`${name} couldn't be sent`);
+      }
+    }
+
+    if (skipped > 0) {
+      notes.push(`${skipped} more image(s) not sent (limit ${config.images.maxPerQuery} per query)`);
+    }
+    if (notes.length > 0) {
+      this.transport.sendText(to, formatter.addProjectTag(`_${notes.join('; ')}._`, projectName), origin);
+    }
+  }
+
+  /**
+   * Per-user state, created on first use.
+   */
+  _userState(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, { activeProject: null, pendingAttachments: [] });
+    }
+    return this.users.get(userId);
+  }
+
+  /**
+   * Who should receive an approval prompt for a session answering userId:
+   * that user if they may approve, otherwise every configured approver.
+   */
+  _approversFor(userId) {
+    if (can(getUser(userId), 'approve')) return [userId];
+    return usersWithPermission('approve');
+  }
+
   /**
    * Resolve project name to a directory path.
    */
@@ -329,13 +1009,15 @@ export class SessionManager {
       for (const entry of entries) {
         const fullPath = resolve(config.projectRoot, entry);
         try {
-          if (statSync(fullPath).isDirectory()) {
+          const stats = statSync(fullPath);
+          if (stats.isDirectory()) {
             // Skip hidden directories and node_modules
             if (!entry.startsWith('.') && entry !== 'node_modules') {
               projects.push({
                 id: entry,
                 title: entry,
                 description: fullPath,
+                modifiedAt: stats.mtimeMs,
               });
             }
           }
@@ -354,3 +1036,44 @@ export class SessionManager {
     }
   }
 }
+
+/**
+ * Queue listing line for a prompt — its start, plus any attachments.
+ */
+function describeQueued({ prompt, text }) {
+  const attachments = Array.isArray(prompt) ? prompt.length - 1 : 0;
+  const note = attachments ? ` (+${attachments} attachment${attachments === 1 ? '' : 's'})` : '';
+  return `"${preview(text)}"${note}`;
+}
+
+function preview(text, max = 60) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > max ? `${line.slice(0, max - 1)}…` : line;
+}
+
+/**
+ * The /mode name for an SDK permission mode.
+ */
+function modeName(permissionMode) {
+  return permissionMode === 'bypassPermissions' ? 'bypass' : permissionMode;
+}
+
+/**
+ * A configured alias, or something shaped like a full model id.
+ */
+function isModelName(name) {
+  return config.claude.models.includes(name) || /^claude-[a-z0-9][\w.\-\[\]]*$/i.test(name);
+}
+
+function isPosition(n, length) {
+  return Number.isInteger(n) && n >= 1 && n <= length;
+}
+
+/**
+ * /status line for a user's 24h window.
+ */
+function describeWindow(remaining) {
+  if (remaining === null) return 'unknown';
+  if (remaining === 0) return 'closed — output is held until you reply';
+  return `closes in ${formatDuration(remaining)}`;
+}
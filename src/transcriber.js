@@ -0,0 +1,96 @@
+// Transcriber — turns WhatsApp voice notes into text
+//
+// Pluggable: anything with `async transcribe(audio, mimeType) → string` works.
+// Built-in engines:
+// - 'whisper-cpp' (default) — local whisper.cpp CLI, audio converted to 16kHz WAV via ffmpeg
+// - 'stub'                  — returns a fixed transcript (tests, no local model)
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import config from './config.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Local whisper.cpp transcription via its CLI.
+ * Equivalent to: ffmpeg -i note.ogg -ar 16000 -ac 1 note.wav && whisper-cli -m <model> -f note.wav -nt -np
+ */
+export class WhisperCppTranscriber {
+  constructor({ command, model, ffmpegCommand, timeoutMs } = config.transcription) {
+    this.command = command;
+    this.model = model;
+    this.ffmpegCommand = ffmpegCommand;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {Buffer} audio - Raw audio bytes (WhatsApp voice notes are audio/ogg; codecs=opus)
+   * @param {string} mimeType - Audio MIME type
+   * @returns {Promise<string>} Recognized text
+   */
+  async transcribe(audio, mimeType) {
+    if (!this.model) {
+      throw new Error('No whisper model configured (set WA_CLAUDE_WHISPER_MODEL)');
+    }
+
+    const workDir = mkdtempSync(join(tmpdir(), 'wa-claude-voice-'));
+    try {
+      const inputPath = join(workDir, 'note' + extensionFor(mimeType));
+      const wavPath = join(workDir, 'note.wav');
+      writeFileSync(inputPath, audio);
+
+      // whisper.cpp only reads 16kHz WAV — convert everything else
+      await execFileAsync(this.ffmpegCommand, ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', wavPath], {
+        timeout: this.timeoutMs,
+      });
+
+      const { stdout } = await execFileAsync(this.command, ['-m', this.model, '-f', wavPath, '-nt', '-np'], {
+        timeout: this.timeoutMs,
+        maxBuffer: 1024 * 1024,
+      });
+
+      return stdout.replace(/\s+/g, ' ').trim();
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Fixed-output transcriber — for tests and setups without a local model.
+ */
+export class StubTranscriber {
+  constructor(text = config.transcription.stubText) {
+    this.text = text;
+  }
+
+  async transcribe(_audio, _mimeType) {
+    return this.text;
+  }
+}
+
+/**
+ * Create the transcriber named by config.transcription.engine.
+ */
+export function createTranscriber(options = config.transcription) {
+  switch (options.engine) {
+    case 'whisper-cpp':
+      return new WhisperCppTranscriber(options);
+    case 'stub':
+      return new StubTranscriber(options.stubText);
+    default:
+      throw new Error(`Unknown transcription engine: ${options.engine}`);
+  }
+}
+
+function extensionFor(mimeType = '') {
+  if (mimeType.includes('ogg')) return '.ogg';
+  if (mimeType.includes('mpeg')) return '.mp3';
+  if (mimeType.includes('mp4') || mimeType.includes('aac')) return '.m4a';
+  if (mimeType.includes('amr')) return '.amr';
+  if (mimeType.includes('wav')) return '.wav';
+  return '.bin';
+}
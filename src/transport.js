@@ -0,0 +1,54 @@
+// Transport — the chat channel the bridge talks through
+//
+// The session pipeline (Bridge → CommandRouter → SessionManager) only ever
+// talks to a Transport, so it doesn't care whether messages come from Meta's
+// Cloud API or a local terminal. Adapters live in src/transports/.
+
+import config from './config.js';
+
+/**
+ * @typedef {object} Transport
+ * @property {string} name - Adapter name ('whatsapp', 'local')
+ *
+ * Sending — all take the recipient first; origin ({ project, sessionId }) is
+ * remembered so quoted replies can be routed back to the session.
+ * Text, button and list sends log failures; media sends reject on failure.
+ * @property {(to: string, text: string, origin?: object) => Promise<void>} sendText
+ * @property {(to: string, bodyText: string, buttons: Array<{id: string, title: string}>, origin?: object) => Promise<void>} sendButtons
+ * @property {(to: string, bodyText: string, buttonText: string, items: Array|null, sections?: Array) => Promise<void>} sendList
+ * @property {(to: string, file: {buffer: Buffer, filename: string, mimeType: string, caption?: string}, origin?: object) => Promise<void>} sendDocument
+ * @property {(to: string, file: {buffer: Buffer, filename: string, mimeType: string, caption?: string}, origin?: object) => Promise<void>} sendImage
+ *
+ * Receiving
+ * @property {(mediaId: string, options?: {maxBytes?: number}) => Promise<{buffer: Buffer, mimeType: string}>} downloadMedia
+ * @property {(messageId: string) => ({project: string, sessionId: string|null}|null)} getOrigin - Session that produced an outbound message
+ * @property {(app: import('express').Express, bridge: import('./bridge.js').Bridge) => void} mount -
+ *   Register routes (and any other input, e.g. stdin) and feed inbound messages to bridge.handleMessage
+ *
+ * Optional — features the channel may not have
+ * @property {(to: string) => Promise<void>} [showTyping] - Typing indicator
+ * @property {(to?: string) => number} [getQueueDepth] - Outbound messages waiting to be sent
+ * @property {(to: string) => number|null} [getWindowRemaining] - ms until the user can no longer be messaged freely
+ * @property {(to: string) => Promise<{replayed: number, failed: number}>} [replayMissed] - Re-send undelivered messages
+ */
+
+/**
+ * Create the transport named in config.transport. Only the selected adapter is
+ * loaded — the WhatsApp one sets up its data/ stores on import.
+ * @param {string} name - 'whatsapp' (default) or 'local'
+ * @returns {Promise<Transport>}
+ */
+export async function createTransport(name = config.transport) {
+  switch (name) {
+    case 'whatsapp': {
+      const { createWhatsAppTransport } = await import('./transports/whatsapp.js');
+      return createWhatsAppTransport();
+    }
+    case 'local': {
+      const { createLocalTransport } = await import('./transports/local.js');
+      return createLocalTransport();
+    }
+    default:
+      throw new Error(`Unknown transport: "${name}" (expected whatsapp or local)`);
+  }
+}
@@ -0,0 +1,224 @@
+// Local transport — chat with the bridge from a terminal or over local HTTP
+//
+// No Meta account needed: drives the same CommandRouter and SessionManager as
+// WhatsApp. Two ways in, usable together:
+// - HTTP (loopback only): POST /local/messages to send, GET /local/messages to read replies.
+//   Messages always come from config.local.user — the request can't pick a sender
+// - Console (config.local.console): type at the server's stdin, replies print to stdout
+//
+// Buttons and list rows show their ids — send "#<id>" to tap one.
+
+import { Router, json } from 'express';
+import { createInterface } from 'readline';
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import config from '../config.js';
+import { sanitizeFilename } from '../document-inbox.js';
+
+// Outbound messages kept for GET /local/messages
+const MAX_OUTBOX = 500;
+
+// Inbound media the bridge handles (same as the webhook)
+const MEDIA_TYPES = ['audio', 'image', 'document'];
+
+/**
+ * @param {{user?: string, console?: boolean, outboxDir?: string, bodyLimit?: string}} options - Defaults from config.local
+ * @returns {import('../transport.js').Transport}
+ */
+export function createLocalTransport(options = {}) {
+  const { user, console: useConsole, outboxDir, bodyLimit } = { ...config.local, ...options };
+
+  // Outbound messages, oldest first: { seq, id, to, type, ...content, origin }
+  const outbox = [];
+  let seq = 0;
+
+  // message id → origin, for quoted replies and reactions
+  const origins = new Map();
+
+  // Inbound media posted over HTTP, by id, until the bridge downloads it
+  const inboundMedia = new Map();
+
+  const record = (to, type, content, origin = null) => {
+    const message = { seq: ++seq, id: `local.${seq}`, to, type, ...content, origin };
+    outbox.push(message);
+    if (outbox.length > MAX_OUTBOX) outbox.shift();
+    if (origin) origins.set(message.id, origin);
+    if (useConsole) printMessage(message);
+    return message;
+  };
+
+  // Media goes to disk so it can be opened — the message carries the path
+  const saveFile = ({ buffer, filename }) => {
+    mkdirSync(outboxDir, { recursive: true });
+    const path = join(outboxDir, `${Date.now()}-${sanitizeFilename(filename)}`);
+    writeFileSync(path, buffer);
+    return path;
+  };
+
+  const transport = {
+    name: 'local',
+
+    async sendText(to, text, origin = null) {
+      record(to, 'text', { text }, origin);
+    },
+
+    async sendButtons(to, bodyText, buttons, origin = null) {
+      record(to, 'buttons', { text: bodyText, buttons }, origin);
+    },
+
+    async sendList(to, bodyText, buttonText, items, sections = null) {
+      const rows = sections ? sections.flatMap(s => s.rows) : items;
+      record(to, 'list', { text: bodyText, buttonText, rows });
+    },
+
+    async sendDocument(to, file, origin = null) {
+      record(to, 'document', { filename: file.filename, caption: file.caption || '', path: saveFile(file) }, origin);
+    },
+
+    async sendImage(to, file, origin = null) {
+      record(to, 'image', { filename: file.filename, caption: file.caption || '', path: saveFile(file) }, origin);
+    },
+
+    async downloadMedia(mediaId, { maxBytes = Infinity } = {}) {
+      const media = inboundMedia.get(mediaId);
+      if (!media) throw new Error(`Unknown media: ${mediaId}`);
+      inboundMedia.delete(mediaId);
+      if (media.buffer.length > maxBytes) {
+        throw new Error(`File too large (${media.buffer.length} bytes, limit ${maxBytes})`);
+      }
+      return media;
+    },
+
+    getOrigin(messageId) {
+      return origins.get(messageId) || null;
+    },
+
+    /**
+     * Outbound messages after a sequence number, optionally for one recipient.
+     */
+    getMessages({ after = 0, to = null } = {}) {
+      return outbox.filter(m => m.seq > after && (!to || m.to === to));
+    },
+
+    mount(app, bridge) {
+      const router = Router();
+
+      // This channel can run shell commands on the machine — never expose it.
+      // The Host check stops browser pages from reaching it via DNS rebinding.
+      router.use((req, res, next) => {
+        if (!isLoopback(req.socket.remoteAddress)) {
+          console.warn(`[local] Rejected request from ${req.socket.remoteAddress}`);
+          return res.sendStatus(403);
+        }
+        if (!isLocalHost(req.get('host'))) {
+          console.warn(`[local] Rejected request for host ${req.get('host')}`);
+          return res.sendStatus(403);
+        }
+        next();
+      });
+
+      // Bodies can carry base64 media — a larger limit than other routes, only here
+      router.use(json({ limit: bodyLimit }));
+
+      // Send a message as the local user. Body: { text?, buttonReplyId?, quotedId?,
+      // reaction?: { messageId, emoji }, media?: { type, data (base64), mimeType, filename?, caption? } }
+      // Responds with the replies produced while handling it; Claude's output
+      // arrives later — poll GET /local/messages?after=<seq>.
+      router.post('/local/messages', async (req, res) => {
+        const from = user;
+        const { text = null, buttonReplyId = null, quotedId = null, reaction = null, media = null } = req.body || {};
+        const after = seq;
+
+        // Nothing the bridge can handle — refuse it here rather than fail inside the router
+        if (media && !(MEDIA_TYPES.includes(media.type) && media.data)) {
+          return res.status(400).json({ error: `Unsupported media — send { type: ${MEDIA_TYPES.join('|')}, data (base64) }` });
+        }
+        if (!text && !buttonReplyId && !reaction && !media) {
+          return res.status(400).json({ error: 'Nothing to send — give text, buttonReplyId, reaction or media' });
+        }
+
+        let inbound = null;
+        if (media) {
+          const id = `local-media.${++seq}`;
+          inboundMedia.set(id, { buffer: Buffer.from(media.data, 'base64'), mimeType: media.mimeType });
+          inbound = { type: media.type, id, mimeType: media.mimeType, filename: media.filename || null, caption: media.caption || null };
+        }
+
+        try {
+          await bridge.handleMessage({ from, text, buttonReplyId, quotedId, reaction, media: inbound });
+          res.json({ messages: transport.getMessages({ after, to: from }), seq });
+        } catch (err) {
+          console.error('[local] Error handling message:', err.message);
+          res.status(500).json({ error: err.message });
+        }
+      });
+
+      router.get('/local/messages', (req, res) => {
+        const after = Number(req.query.after) || 0;
+        res.json({ messages: transport.getMessages({ after, to: req.query.to || null }), seq });
+      });
+
+      app.use(router);
+      console.log(`[local] Chat API: http://localhost:${config.port}/local/messages (as ${user})`);
+
+      if (useConsole) {
+        startConsole(bridge, user);
+      }
+    },
+  };
+
+  return transport;
+}
+
+/**
+ * Read stdin lines as messages from the local user. "#<id>" taps a button or list row.
+ */
+function startConsole(bridge, user) {
+  const rl = createInterface({ input: process.stdin, terminal: false });
+  console.log(`[local] Console chat ready — type a message or /help (as ${user})`);
+
+  rl.on('line', async (line) => {
+    line = line.trim();
+    if (!line) return;
+
+    const buttonReplyId = line.startsWith('#') ? line.slice(1) : null;
+    try {
+      await bridge.handleMessage({ from: user, text: buttonReplyId ? null : line, buttonReplyId });
+    } catch (err) {
+      console.error('[local] Error handling message:', err.message);
+    }
+  });
+}
+
+/**
+ * Render an outbound message for the terminal.
+ */
+function printMessage(message) {
+  const lines = [`\n── ${message.id} → ${message.to} ──`];
+
+  if (message.text) lines.push(message.text);
+  if (message.type === 'buttons') {
+    lines.push(...message.buttons.map(b => `  [#${b.id}] ${b.title}`));
+  }
+  if (message.type === 'list') {
+    lines.push(`  (${message.buttonText})`);
+    lines.push(...message.rows.map(r => `  [#${r.id}] ${r.title}${r.description ? ` — ${r.description}` : ''}`));
+  }
+  if (message.path) {
+    lines.push(`📎 ${message.type}: ${message.path}${message.caption ? `\n${message.caption}` : ''}`);
+  }
+
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+function isLoopback(address = '') {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/**
+ * Whether a Host header names this machine (localhost, 127.0.0.1 or [::1], any port).
+ */
+function isLocalHost(host = '') {
+  const hostname = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+  return ['localhost', '127.0.0.1', '[::1]'].includes(hostname.toLowerCase());
+}
@@ -0,0 +1,91 @@
+// WhatsApp transport — Meta Cloud API adapter
+//
+// Inbound: the signed webhook (src/webhook.js). Outbound: src/wa-client.js,
+// with its ordered send queue, delivery tracking and 24h-window handling.
+
+import config from '../config.js';
+import webhook from '../webhook.js';
+import {
+  sendMessage, sendButtons, sendList, sendDocument, sendImage, downloadMedia,
+  handleStatus, replayMissed, getOrigin, getQueueDepth, noteInbound, getWindowRemaining, showTyping,
+} from '../wa-client.js';
+
+/**
+ * @returns {import('../transport.js').Transport}
+ */
+export function createWhatsAppTransport() {
+  return {
+    name: 'whatsapp',
+
+    async sendText(to, text, origin = null) {
+      try {
+        await sendMessage(to, text, origin);
+      } catch (err) {
+        console.error('[whatsapp] Failed to send:', err.message);
+      }
+    },
+
+    async sendButtons(to, bodyText, buttons, origin = null) {
+      try {
+        await sendButtons(to, bodyText, buttons, origin);
+      } catch (err) {
+        console.error('[whatsapp] Failed to send buttons:', err.message);
+      }
+    },
+
+    async sendList(to, bodyText, buttonText, items, sections = null) {
+      try {
+        await sendList(to, bodyText, buttonText, items, sections);
+      } catch (err) {
+        console.error('[whatsapp] Failed to send list:', err.message);
+      }
+    },
+
+    // Unlike the sends above, media failures propagate — callers fall back
+    // to plain text or tell the user what didn't arrive
+    async sendDocument(to, file, origin = null) {
+      try {
+        await sendDocument(to, file, origin);
+      } catch (err) {
+        console.error('[whatsapp] Failed to send document:', err.message);
+        throw err;
+      }
+    },
+
+    async sendImage(to, file, origin = null) {
+      try {
+        await sendImage(to, file, origin);
+      } catch (err) {
+        console.error('[whatsapp] Failed to send image:', err.message);
+        throw err;
+      }
+    },
+
+    downloadMedia,
+    getOrigin,
+    showTyping,
+    getQueueDepth,
+    getWindowRemaining,
+    replayMissed,
+
+    mount(app, bridge) {
+      webhook.onMessage = (message) => bridge.handleMessage(message);
+
+      // Every accepted inbound message is marked read, reopens the sender's 24h
+      // window and releases output held while it was closed
+      webhook.onInbound = ({ from, timestamp, id }) => noteInbound(from, timestamp, id);
+
+      // Delivery statuses — correlates with sent messages, resends failures
+      webhook.onStatus = (status) => handleStatus(status);
+
+      app.use(webhook);
+
+      console.log(`[whatsapp] Webhook URL: http://localhost:${config.port}/webhook`);
+      if (!config.whatsapp.appSecret && config.whatsapp.skipSignatureCheck) {
+        console.warn('[whatsapp] WA_CLAUDE_SKIP_SIGNATURE_CHECK=true — webhook signature verification DISABLED');
+      } else if (!config.whatsapp.appSecret) {
+        console.error('[whatsapp] WA_CLAUDE_APP_SECRET not set — every webhook POST will be rejected');
+      }
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// Users — allowlist of WhatsApp numbers with roles
+//
+// Roles grant permissions:
+// - admin  — everything, including approving Bash/tool actions
+// - member — chat with sessions, open/kill/restart/cancel, send media
+// - viewer — read-only: /status, /cost, /list, /help
+//
+// Configured via config.users ({ number: role }). If that's empty, the legacy
+// single config.allowedNumber is treated as the sole admin; if that's empty
+// too, any sender is accepted as admin (unrestricted, as before).
+
+import config from './config.js';
+
+export const ROLE_PERMISSIONS = {
+  admin: ['read', 'chat', 'approve'],
+  member: ['read', 'chat'],
+  viewer: ['read'],
+};
+
+/**
+ * Look up a sender. Returns null if they're not on the allowlist.
+ * @param {string} number - Phone number (with country code, no +)
+ * @returns {{number: string, role: string}|null}
+ */
+export function getUser(number) {
+  if (!number) return null;
+
+  const users = configuredUsers();
+  if (users) {
+    const role = users[number];
+    return role ? { number, role } : null;
+  }
+
+  // Unrestricted mode — no allowlist at all
+  return { number, role: 'admin' };
+}
+
+/**
+ * Does this user's role grant a permission ('read' | 'chat' | 'approve')?
+ */
+export function can(user, permission) {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+/**
+ * Numbers of every configured user holding a permission (e.g. all approvers).
+ * Empty in unrestricted mode — there's no list to draw from.
+ * @returns {string[]}
+ */
+export function usersWithPermission(permission) {
+  const users = configuredUsers() || {};
+  return Object.entries(users)
+    .filter(([number, role]) => can({ number, role }, permission))
+    .map(([number]) => number);
+}
+
+/**
+ * The effective allowlist as { number: role }, or null if unrestricted.
+ */
+function configuredUsers() {
+  if (Object.keys(config.users).length > 0) return config.users;
+  if (config.allowedNumber) return { [config.allowedNumber]: 'admin' };
+  return null;
+}
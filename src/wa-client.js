@@ -1,40 +1,58 @@
 // WhatsApp Cloud API client — sends messages via Meta's Graph API
 
 import config from './config.js';
+import { DeliveryTracker } from './delivery-tracker.js';
+import { SendQueue, sleep } from './send-queue.js';
+import { ConversationWindow } from './conversation-window.js';
+import { formatBytes } from './message-labels.js';
 
-const { accessToken, phoneNumberId, apiVersion } = config.whatsapp;
-const BASE_URL = `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`;
+const { accessToken, phoneNumberId, apiVersion, graphUrl } = config.whatsapp;
+const GRAPH_URL = `${graphUrl}/${apiVersion}`;
+const BASE_URL = `${GRAPH_URL}/${phoneNumberId}/messages`;
+
+// Every outbound message is tracked so status webhooks can be correlated
+// to it and failed deliveries can be resent or replayed via /missed
+export const deliveries = new DeliveryTracker();
+
+// All sends go through a per-recipient FIFO so chunks, acks and tool notices
+// arrive in the order they were produced, even when callers don't await
+const outbox = new SendQueue();
+
+// Graph error codes that mean "slow down" rather than "this message is bad"
+const RATE_LIMIT_CODES = new Set([4, 80007, 130429, 131048, 131056]);
+
+// "Re-engagement message" — the 24h customer service window has closed,
+// so only approved template messages are accepted
+const RE_ENGAGEMENT_CODE = 131047;
+
+// When each user last messaged us — that's what opens their 24h window
+export const windows = new ConversationWindow();
+
+// Latest inbound message id per user — read receipts and the typing
+// indicator are both attached to a message the user sent
+const lastInboundIds = new Map();
+
+// Free-form messages refused because the window had closed, held per
+// recipient until they write again: to → { items: [{ payload, meta }], notified }
+const held = new Map();
 
 /**
  * Send a text message to a WhatsApp number.
  * @param {string} to - Recipient phone number (with country code, no +)
  * @param {string} text - Message body
+ * @param {{project: string, sessionId: string|null}} origin - Session that produced this message (optional)
  */
-export async function sendMessage(to, text) {
+export async function sendMessage(to, text, origin = null) {
   // WhatsApp has a ~4096 char limit per message — split if needed
   const chunks = splitMessage(text, config.output.maxMessageLength);
 
-  for (const chunk of chunks) {
-    const response = await fetch(BASE_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to,
-        type: 'text',
-        text: { body: chunk },
-      }),
-    });
-
-    if (!response.ok) {
-      const err = await response.json().catch(() => ({}));
-      console.error('[wa-client] Send failed:', response.status, err);
-      throw new Error(`WhatsApp send failed: ${response.status}`);
-    }
-  }
+  // Queue every chunk up front so another send can't slip in between them
+  await Promise.all(chunks.map(chunk => postMessage({
+    messaging_product: 'whatsapp',
+    to,
+    type: 'text',
+    text: { body: chunk },
+  }, 'Send', { origin })));
 }
 
 /**
@@ -42,43 +60,31 @@ export async function sendMessage(to, text) {
  * @param {string} to - Recipient phone number
  * @param {string} bodyText - Main message text
  * @param {Array<{id: string, title: string}>} buttons - Up to 3 buttons
+ * @param {{project: string, sessionId: string|null}} origin - Session that produced this message (optional)
  */
-export async function sendButtons(to, bodyText, buttons) {
+export async function sendButtons(to, bodyText, buttons, origin = null) {
   if (buttons.length > 3) {
     throw new Error('WhatsApp supports max 3 buttons per message');
   }
 
-  const response = await fetch(BASE_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      messaging_product: 'whatsapp',
-      to,
-      type: 'interactive',
-      interactive: {
-        type: 'button',
-        body: { text: bodyText },
-        action: {
-          buttons: buttons.map(btn => ({
-            type: 'reply',
-            reply: {
-              id: btn.id,
-              title: btn.title,
-            },
-          })),
-        },
+  await postMessage({
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text: bodyText },
+      action: {
+        buttons: buttons.map(btn => ({
+          type: 'reply',
+          reply: {
+            id: btn.id,
+            title: btn.title,
+          },
+        })),
       },
-    }),
-  });
-
-  if (!response.ok) {
-    const err = await response.json().catch(() => ({}));
-    console.error('[wa-client] Send buttons failed:', response.status, err);
-    throw new Error(`WhatsApp send failed: ${response.status}`);
-  }
+    },
+  }, 'Send buttons', { origin });
 }
 
 /**
@@ -107,32 +113,436 @@ export async function sendList(to, bodyText, buttonText, items, sections = null)
     }];
   }
 
-  const response = await fetch(BASE_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
+  await postMessage({
+    messaging_product: 'whatsapp',
+    to,
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text: bodyText },
+      action: {
+        button: buttonText,
+        sections: finalSections,
+      },
     },
-    body: JSON.stringify({
+  }, 'Send list');
+}
+
+/**
+ * Send a file as a document message.
+ * @param {string} to - Recipient phone number
+ * @param {{buffer: Buffer, filename: string, mimeType: string, caption?: string}} file - File to send
+ * @param {{project: string, sessionId: string|null}} origin - Session that produced this message (optional)
+ */
+export async function sendDocument(to, { buffer, filename, mimeType, caption = '' }, origin = null) {
+  await sendMedia(to, 'document', { buffer, filename, mimeType }, { filename, caption }, origin);
+}
+
+/**
+ * Send an image message (JPEG or PNG, up to 5 MB).
+ * @param {string} to - Recipient phone number
+ * @param {{buffer: Buffer, filename: string, mimeType: string, caption?: string}} file - Image to send
+ * @param {{project: string, sessionId: string|null}} origin - Session that produced this message (optional)
+ */
+export async function sendImage(to, { buffer, filename, mimeType, caption = '' }, origin = null) {
+  await sendMedia(to, 'image', { buffer, filename, mimeType }, { caption }, origin);
+}
+
+/**
+ * Upload a file and send it as a media message. Both steps run inside the
+ * recipient's queue slot so the media lands in order with surrounding text.
+ */
+function sendMedia(to, type, { buffer, filename, mimeType }, { caption, ...fields }, origin) {
+  return outbox.enqueue(to, async () => {
+    const mediaId = await uploadMedia(buffer, mimeType, filename);
+    return deliver({
       messaging_product: 'whatsapp',
       to,
-      type: 'interactive',
-      interactive: {
-        type: 'list',
-        body: { text: bodyText },
-        action: {
-          button: buttonText,
-          sections: finalSections,
-        },
+      type,
+      [type]: {
+        id: mediaId,
+        ...fields,
+        // WhatsApp caps media captions at 1024 chars
+        ...(caption && { caption: caption.slice(0, 1024) }),
       },
-    }),
+    }, `Send ${type}`, { origin });
+  });
+}
+
+/**
+ * Upload a file to the Graph media endpoint for use in an outbound message.
+ * @returns {Promise<string>} Media id
+ */
+export async function uploadMedia(buffer, mimeType, filename) {
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimeType);
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+  const response = await fetch(`${GRAPH_URL}/${phoneNumberId}/media`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    body: form,
   });
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    console.error('[wa-client] Send list failed:', response.status, err);
-    throw new Error(`WhatsApp send failed: ${response.status}`);
+    console.error('[wa-client] Media upload failed:', response.status, err);
+    throw new Error(`WhatsApp media upload failed: ${response.status}`);
+  }
+
+  const { id } = await response.json();
+  return id;
+}
+
+/**
+ * Download inbound media (voice notes, images, documents) via the Graph media endpoint.
+ * Two steps: resolve the media id to a short-lived URL, then fetch it with our token.
+ * @param {string} mediaId - Media id from the webhook message (e.g. message.audio.id)
+ * @param {{maxBytes?: number}} options - Reject files larger than maxBytes (checked before downloading)
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+export async function downloadMedia(mediaId, { maxBytes = Infinity } = {}) {
+  const headers = { 'Authorization': `Bearer ${accessToken}` };
+
+  const metaResponse = await fetch(`${GRAPH_URL}/${mediaId}`, { headers });
+  if (!metaResponse.ok) {
+    const err = await metaResponse.json().catch(() => ({}));
+    console.error('[wa-client] Media lookup failed:', metaResponse.status, err);
+    throw new Error(`WhatsApp media lookup failed: ${metaResponse.status}`);
+  }
+  const { url, mime_type: mimeType, file_size: fileSize } = await metaResponse.json();
+
+  if (fileSize > maxBytes) {
+    throw new Error(`File too large (${formatBytes(fileSize)}, limit ${formatBytes(maxBytes)})`);
+  }
+
+  const fileResponse = await fetch(url, { headers });
+  if (!fileResponse.ok) {
+    console.error('[wa-client] Media download failed:', fileResponse.status);
+    throw new Error(`WhatsApp media download failed: ${fileResponse.status}`);
+  }
+
+  const buffer = Buffer.from(await fileResponse.arrayBuffer());
+  if (buffer.length > maxBytes) {
+    throw new Error(`File too large (${formatBytes(buffer.length)}, limit ${formatBytes(maxBytes)})`);
+  }
+
+  return { buffer, mimeType };
+}
+
+/**
+ * Handle a delivery status event from the webhook (sent/delivered/read/failed).
+ * Failed messages are resent up to config.delivery.maxResends times; after
+ * that the user is told to use /missed.
+ * @param {{id: string, status: string, recipient_id: string, errors?: Array}} status - Meta status object
+ */
+export async function handleStatus(status) {
+  const entry = deliveries.applyStatus(status);
+  if (!entry || entry.status !== 'failed') return;
+
+  console.warn(`[wa-client] Delivery failed for ${entry.id} ("${entry.preview}"): ${entry.error}`);
+
+  // Window closed — resending won't help; hold it until the user writes again
+  if (status.errors?.some(e => e.code === RE_ENGAGEMENT_CODE) && entry.payload.type !== 'template') {
+    deliveries.markReplaced(entry.id);
+    windows.close(entry.to);
+    holdForWindow(entry.payload, { origin: entry.origin });
+    return;
+  }
+
+  if (entry.resends < config.delivery.maxResends) {
+    console.log(`[wa-client] Resending ${entry.id} (attempt ${entry.resends + 1}/${config.delivery.maxResends})`);
+    deliveries.markReplaced(entry.id);
+    await postMessage(entry.payload, 'Resend', { resends: entry.resends + 1, origin: entry.origin }).catch(() => {});
+    return;
+  }
+
+  // Out of resends — leave it for /missed and tell the user.
+  // Don't report failed notices, or a dead channel would loop forever.
+  if (entry.notice) return;
+  await postMessage({
+    messaging_product: 'whatsapp',
+    to: entry.to,
+    type: 'text',
+    text: { body: `_⚠️ A message failed to deliver ("${entry.preview}"). Reply /missed to replay it._` },
+  }, 'Send notice', { notice: true }).catch(() => {});
+}
+
+/**
+ * Record an inbound message from a user: marks it read, reopens their 24h
+ * window and releases anything held while it was closed, ahead of any new replies.
+ * @param {string} from - Sender phone number
+ * @param {string|number} timestamp - WhatsApp message timestamp (seconds); defaults to now
+ * @param {string} messageId - WhatsApp message id (for the read receipt)
+ * @returns {number} Number of held messages released
+ */
+export function noteInbound(from, timestamp = null, messageId = null) {
+  windows.touch(from, timestamp ? Number(timestamp) * 1000 : Date.now());
+
+  if (messageId) {
+    lastInboundIds.set(from, messageId);
+    if (config.presence.readReceipts) {
+      markRead(messageId);
+    }
+  }
+
+  const hold = held.get(from);
+  if (!hold) return 0;
+  held.delete(from);
+
+  console.log(`[wa-client] ${from} is back — releasing ${hold.items.length} held message(s)`);
+  postMessage({
+    messaging_product: 'whatsapp',
+    to: from,
+    type: 'text',
+    text: { body: `_📬 ${hold.items.length} message(s) held while the chat was inactive:_` },
+  }, 'Send notice', { notice: true }).catch(() => {});
+  for (const { payload, meta } of hold.items) {
+    postMessage(payload, 'Release', meta).catch(() => {});
   }
+
+  return hold.items.length;
+}
+
+/**
+ * Show the typing indicator to a user (it also marks their latest message
+ * read). WhatsApp clears it after ~25s or when we send something — callers
+ * refresh it while work is ongoing.
+ * @param {string} to - User phone number
+ */
+export async function showTyping(to) {
+  const messageId = lastInboundIds.get(to);
+  if (!messageId || !config.presence.typingIndicator) return;
+  await markRead(messageId, { typing: true });
+}
+
+/**
+ * Mark an inbound message as read (blue ticks), optionally with the typing
+ * indicator. Best-effort: failures are logged, never thrown — and it skips the
+ * send queue, since nothing here needs ordering against chat messages.
+ * @param {string} messageId - WhatsApp message id of the inbound message
+ * @param {{typing?: boolean}} options
+ */
+export async function markRead(messageId, { typing = false } = {}) {
+  try {
+    const response = await fetch(BASE_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        status: 'read',
+        message_id: messageId,
+        ...(typing && { typing_indicator: { type: 'text' } }),
+      }),
+    });
+    if (!response.ok) {
+      console.warn(`[wa-client] Mark read failed for ${messageId}:`, response.status);
+    }
+  } catch (err) {
+    console.warn(`[wa-client] Mark read failed for ${messageId}:`, err.message);
+  }
+}
+
+/**
+ * Milliseconds until a user's 24h window closes (0 if closed, null if unknown).
+ */
+export function getWindowRemaining(to) {
+  return windows.remaining(to);
+}
+
+/**
+ * Look up which project/session produced an outbound message — used to route
+ * swipe-replies (message.context.id) back to the right session.
+ * @param {string} messageId - WhatsApp message id of the quoted message
+ * @returns {{project: string, sessionId: string|null}|null}
+ */
+export function getOrigin(messageId) {
+  return deliveries.getOrigin(messageId);
+}
+
+/**
+ * Re-send every message to a recipient that never reached the phone.
+ * @param {string} to - Recipient phone number
+ * @returns {Promise<{replayed: number, failed: number}>}
+ */
+export async function replayMissed(to) {
+  const missed = deliveries.getMissed(to);
+  let replayed = 0;
+  let failed = 0;
+
+  for (const entry of missed) {
+    deliveries.markReplaced(entry.id);
+    try {
+      await postMessage(entry.payload, 'Replay', { origin: entry.origin });
+      replayed++;
+    } catch {
+      failed++;
+    }
+  }
+
+  return { replayed, failed };
+}
+
+/**
+ * Queue a payload on its recipient's FIFO and track it for delivery status.
+ * Enqueueing is synchronous, so call order is delivery order even for
+ * callers that don't await.
+ * @param {object} payload - Graph /messages request body
+ * @param {string} label - Log label (e.g. "Send buttons")
+ * @param {{resends?: number, notice?: boolean, origin?: object}} meta - Tracking metadata (resend count, delivery-notice flag, originating session)
+ * @returns {Promise<string>} WhatsApp message id
+ */
+function postMessage(payload, label, meta = {}) {
+  return outbox.enqueue(payload.to, () => deliver(payload, label, meta));
+}
+
+/**
+ * Outbound messages waiting to be sent — for one recipient, or all.
+ */
+export function getQueueDepth(to = null) {
+  return outbox.depth(to);
+}
+
+/**
+ * POST a message payload to the Graph API, retrying transient failures
+ * (network errors, 429, 5xx, rate-limit error codes) with exponential
+ * backoff. Retry-After is honored when Graph sends it.
+ * Records the send (or its failure) with the delivery tracker.
+ * @returns {Promise<string|undefined>} WhatsApp message id
+ */
+async function deliver(payload, label, meta) {
+  const { maxRetries } = config.outbound;
+
+  // Known-closed window — don't waste a request that's bound to be refused
+  if (payload.type !== 'template' && windows.remaining(payload.to) === 0) {
+    return holdForWindow(payload, meta);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(BASE_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+      });
+    } catch (err) {
+      if (attempt < maxRetries) {
+        const delay = backoffDelay(attempt);
+        console.warn(`[wa-client] ${label} network error (${err.message}) — retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      deliveries.recordSendFailure({ to: payload.to, payload, error: err.message, ...meta });
+      throw err;
+    }
+
+    if (!response.ok) {
+      const err = await response.json().catch(() => ({}));
+
+      if (err.error?.code === RE_ENGAGEMENT_CODE && payload.type !== 'template') {
+        windows.close(payload.to);
+        return holdForWindow(payload, meta);
+      }
+
+      const transient = response.status === 429
+        || response.status >= 500
+        || RATE_LIMIT_CODES.has(err.error?.code);
+
+      if (transient && attempt < maxRetries) {
+        const delay = retryAfterDelay(response) ?? backoffDelay(attempt);
+        console.warn(`[wa-client] ${label} got ${response.status} — retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      console.error(`[wa-client] ${label} failed:`, response.status, err);
+      deliveries.recordSendFailure({ to: payload.to, payload, error: `HTTP ${response.status}`, ...meta });
+      throw new Error(`WhatsApp send failed: ${response.status}`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    const messageId = data.messages?.[0]?.id;
+    if (messageId) {
+      deliveries.recordSent(messageId, { to: payload.to, payload, ...meta });
+    }
+
+    return messageId;
+  }
+}
+
+/**
+ * Hold a free-form message that can't be sent outside the 24h window. The
+ * first hold for a recipient sends the configured template, so they know
+ * there's something waiting; the rest wait quietly for noteInbound().
+ * @returns {null} No message id — nothing was sent
+ */
+function holdForWindow(payload, meta) {
+  const to = payload.to;
+  if (!held.has(to)) {
+    held.set(to, { items: [], notified: false });
+  }
+  const hold = held.get(to);
+  hold.items.push({ payload, meta });
+  console.warn(`[wa-client] ${to} is outside the 24h window — holding message (${hold.items.length} held)`);
+
+  if (!hold.notified) {
+    hold.notified = true;
+    const { templateName, templateLanguage } = config.window;
+    if (!templateName) {
+      console.warn('[wa-client] No template configured (WA_CLAUDE_TEMPLATE_NAME) — output held until the user writes');
+    } else {
+      // Not awaited — we may be inside this recipient's queue slot right now
+      postMessage({
+        messaging_product: 'whatsapp',
+        to,
+        type: 'template',
+        template: {
+          name: templateName,
+          language: { code: templateLanguage },
+          components: [{
+            type: 'body',
+            parameters: [{ type: 'text', text: meta.origin?.project || 'wa-claude' }],
+          }],
+        },
+      }, 'Send template', { notice: true }).catch(() => {});
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff for the given (zero-based) retry attempt.
+ */
+function backoffDelay(attempt) {
+  const { baseBackoffMs, maxBackoffMs } = config.outbound;
+  return Math.min(baseBackoffMs * 2 ** attempt, maxBackoffMs);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ * Returns null if absent or unparseable.
+ */
+function retryAfterDelay(response) {
+  const header = response.headers?.get?.('retry-after');
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.min(Math.max(seconds * 1000, 0), config.outbound.maxBackoffMs);
+  }
+
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return null;
+  return Math.min(Math.max(date - Date.now(), 0), config.outbound.maxBackoffMs);
 }
 
 /**
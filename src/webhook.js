@@ -1,10 +1,51 @@
 // Express routes for Meta WhatsApp webhook — verification + incoming messages
 
-import { Router } from 'express';
+import { Router, json } from 'express';
+import { createHmac, timingSafeEqual } from 'crypto';
 import config from './config.js';
+import { MessageDedupe } from './message-dedupe.js';
+import { getUser } from './users.js';
+import { describeNonText } from './message-labels.js';
 
 const router = Router();
 
+// Persistent dedupe store — drops Meta's retried and late deliveries.
+// Exposed on the router so tests can swap in a throwaway store.
+router.dedupe = new MessageDedupe();
+
+/**
+ * express.json() verify hook — keeps the raw request bytes on req.rawBody.
+ * Signature verification must run against the exact bytes Meta signed,
+ * not a re-serialized copy of the parsed JSON.
+ */
+export function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header against the raw request body.
+ * Header format: "sha256=<hex HMAC-SHA256 of body keyed with the app secret>".
+ * @param {Buffer} rawBody - Raw request body bytes
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature matches
+ */
+export function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) return false;
+
+  const [algo, received] = signatureHeader.split('=');
+  if (algo !== 'sha256' || !received) return false;
+
+  const expected = createHmac('sha256', appSecret).update(rawBody).digest('hex');
+
+  // Constant-time compare — lengths must match or timingSafeEqual throws
+  const a = Buffer.from(received, 'hex');
+  const b = Buffer.from(expected, 'hex');
+  if (a.length !== b.length) return false;
+
+  return timingSafeEqual(a, b);
+}
+
 /**
  * GET /webhook — Meta verification handshake.
  * Meta sends hub.mode, hub.verify_token, hub.challenge.
@@ -26,67 +67,190 @@ router.get('/webhook', (req, res) => {
 
 /**
  * POST /webhook — Incoming messages from WhatsApp.
- * Meta sends a payload with messages array.
- * We extract the sender and text, then route to the appropriate handler.
+ * Meta sends a payload with messages array, signed via X-Hub-Signature-256.
+ * Parsed with express's default size limit — nothing here needs more.
+ * A single POST can batch several entries, changes and messages — we verify
+ * the signature, then dispatch every message in timestamp order, followed by
+ * any delivery status events for messages we sent.
  */
-router.post('/webhook', (req, res) => {
+router.post('/webhook', json({ verify: captureRawBody }), async (req, res) => {
+  // Reject anything not signed with our app secret — anyone who knows the
+  // tunnel URL could otherwise forge a message from the allowed number.
+  // With no secret configured, fail closed unless verification is explicitly skipped.
+  const appSecret = config.whatsapp.appSecret;
+  if (!appSecret && !config.whatsapp.skipSignatureCheck) {
+    console.warn(`[webhook] Rejected POST from ${req.ip} — WA_CLAUDE_APP_SECRET not set`);
+    return res.sendStatus(401);
+  }
+  if (appSecret) {
+    const signature = req.get('x-hub-signature-256');
+    if (!verifySignature(req.rawBody, signature, appSecret)) {
+      console.warn(`[webhook] Rejected POST with invalid signature from ${req.ip} (header: ${signature ? 'present' : 'missing'})`);
+      return res.sendStatus(401);
+    }
+  }
+
   // Always respond 200 quickly — Meta retries on failure
   res.sendStatus(200);
 
+  let batch;
+  let statuses;
   try {
-    const body = req.body;
-
-    // Drill into Meta's nested payload structure
-    const entry = body?.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const value = changes?.value;
+    batch = collectMessages(req.body);
+    statuses = collectStatuses(req.body);
+  } catch (err) {
+    console.error('[webhook] Error parsing payload:', err);
+    return;
+  }
 
-    // Skip non-message events (status updates, etc.)
-    if (!value?.messages) return;
+  if (batch.length > 1) {
+    console.log(`[webhook] Batch of ${batch.length} messages`);
+  }
 
-    const message = value.messages[0];
-    const from = message.from; // sender phone number
-    const metadata = value.metadata;
+  // Dispatch one at a time, in order — each message is isolated so one
+  // bad message doesn't drop the rest of the batch
+  for (const { message, value } of batch) {
+    try {
+      await handleMessage(message, value);
+    } catch (err) {
+      console.error(`[webhook] Error processing message ${message?.id}:`, err);
+    }
+  }
 
-    // Sender verification — only allow whitelisted number
-    if (config.allowedNumber && from !== config.allowedNumber) {
-      console.warn(`[webhook] Blocked message from unauthorized sender: ${from}`);
-      return;
+  // Delivery status events for our outbound messages (sent/delivered/read/failed)
+  for (const status of statuses) {
+    try {
+      if (typeof router.onStatus === 'function') {
+        await router.onStatus(status);
+      }
+    } catch (err) {
+      console.error(`[webhook] Error processing status for ${status?.id}:`, err);
     }
+  }
+});
 
-    let text = null;
-    let buttonReplyId = null;
-
-    // Handle different message types
-    if (message.type === 'text') {
-      text = message.text?.body;
-    } else if (message.type === 'interactive') {
-      // Interactive message response (button or list)
-      const interactive = message.interactive;
-      if (interactive?.type === 'button_reply') {
-        buttonReplyId = interactive.button_reply.id;
-        text = interactive.button_reply.title; // Also set text as fallback
-      } else if (interactive?.type === 'list_reply') {
-        buttonReplyId = interactive.list_reply.id;
-        text = interactive.list_reply.title;
+/**
+ * Flatten Meta's nested payload (entry[] → changes[] → value.messages[])
+ * into a list of messages sorted by timestamp (oldest first).
+ * Non-message changes (status updates, etc.) contribute nothing.
+ * @returns {Array<{message: object, value: object}>}
+ */
+export function collectMessages(body) {
+  const batch = [];
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const value = change?.value;
+      for (const message of value?.messages || []) {
+        batch.push({ message, value });
       }
-    } else {
-      console.log(`[webhook] Ignoring message type: ${message.type}`);
-      return;
     }
+  }
 
-    if (!text && !buttonReplyId) return;
+  // Array.prototype.sort is stable — same-second messages keep payload order
+  return batch.sort((a, b) => Number(a.message.timestamp || 0) - Number(b.message.timestamp || 0));
+}
 
-    console.log(`[webhook] Message from ${from}: ${text?.slice(0, 100) || `[button: ${buttonReplyId}]`}`);
+/**
+ * Flatten the status events (value.statuses[]) out of Meta's nested payload.
+ * @returns {Array<object>} Meta status objects ({ id, status, recipient_id, errors? })
+ */
+export function collectStatuses(body) {
+  const statuses = [];
 
-    // Emit event for the command router to handle
-    if (typeof router.onMessage === 'function') {
-      router.onMessage({ from, text, buttonReplyId, metadata });
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      statuses.push(...(change?.value?.statuses || []));
     }
+  }
 
-  } catch (err) {
-    console.error('[webhook] Error processing message:', err);
+  return statuses;
+}
+
+/**
+ * Verify, dedupe and parse a single message, then hand it to router.onMessage.
+ */
+async function handleMessage(message, value) {
+  const from = message.from; // sender phone number
+  const metadata = value.metadata;
+  // Swipe-reply — id of the message being quoted (one of ours, usually)
+  const quotedId = message.context?.id || null;
+
+  // Sender verification — only allow users on the allowlist
+  if (!getUser(from)) {
+    console.warn(`[webhook] Blocked message from unauthorized sender: ${from}`);
+    return;
   }
-});
+
+  // Idempotency — skip retries of a message we've already handled, and
+  // late deliveries that arrive after a newer message from the same sender
+  const { accepted, reason } = router.dedupe.check(message);
+  if (!accepted) {
+    console.log(`[webhook] Dropping ${reason} message ${message.id} from ${from}`);
+    return;
+  }
+
+  // Any message from the user — even one we ignore — reopens their 24h window
+  if (typeof router.onInbound === 'function') {
+    router.onInbound({ from, timestamp: message.timestamp, id: message.id });
+  }
+
+  let text = null;
+  let buttonReplyId = null;
+  let media = null;
+  let reaction = null;
+
+  // Handle different message types
+  if (message.type === 'text') {
+    text = message.text?.body;
+  } else if (message.type === 'interactive') {
+    // Interactive message response (button or list)
+    const interactive = message.interactive;
+    if (interactive?.type === 'button_reply') {
+      buttonReplyId = interactive.button_reply.id;
+      text = interactive.button_reply.title; // Also set text as fallback
+    } else if (interactive?.type === 'list_reply') {
+      buttonReplyId = interactive.list_reply.id;
+      text = interactive.list_reply.title;
+    }
+  } else if (message.type === 'audio') {
+    // Voice note — downloaded and transcribed by the onMessage handler
+    media = { type: 'audio', id: message.audio?.id, mimeType: message.audio?.mime_type };
+  } else if (message.type === 'image') {
+    // Screenshot/photo — downloaded and attached to the prompt by the onMessage handler
+    media = {
+      type: 'image',
+      id: message.image?.id,
+      mimeType: message.image?.mime_type,
+      caption: message.image?.caption || null,
+    };
+  } else if (message.type === 'document') {
+    // File (log, CSV, PDF...) — saved into the active project by the onMessage handler
+    media = {
+      type: 'document',
+      id: message.document?.id,
+      mimeType: message.document?.mime_type,
+      filename: message.document?.filename || null,
+      caption: message.document?.caption || null,
+    };
+  } else if (message.type === 'reaction') {
+    // Emoji reaction to one of our messages — emoji is empty when a reaction is removed
+    if (!message.reaction?.emoji) return;
+    reaction = { messageId: message.reaction.message_id, emoji: message.reaction.emoji };
+  } else {
+    console.log(`[webhook] Ignoring message type: ${message.type}`);
+    return;
+  }
+
+  if (!text && !buttonReplyId && !media?.id && !reaction) return;
+
+  console.log(`[webhook] Message from ${from}: ${text?.slice(0, 100) || describeNonText({ media, reaction, buttonReplyId })}`);
+
+  // Emit event for the command router to handle — awaited so batched
+  // messages reach the router in order
+  if (typeof router.onMessage === 'function') {
+    await router.onMessage({ from, text, buttonReplyId, media, reaction, quotedId, metadata });
+  }
+}
 
 export default router;